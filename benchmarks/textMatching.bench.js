@@ -0,0 +1,220 @@
+// Citation matching on large pages: the current matcher run on the main
+// thread, and the same matcher run through the text worker
+// (src/lib/textWorker.js). The old applyHighlights matcher is not measured.
+//
+//   npm run bench:text
+//
+// What matters for the viewer is how long the main thread is blocked, so
+// besides the total time each run reports the longest gap between timer
+// ticks on the main thread while it was going on. The worker side runs the
+// real worker module in a worker thread, bundled by Vite like the app.
+import { build } from 'vite'
+import { Worker } from 'node:worker_threads'
+import { performance } from 'node:perf_hooks'
+import { fileURLToPath } from 'node:url'
+
+const root = fileURLToPath(new URL('..', import.meta.url))
+
+// Bundle one source module into a single ES module, as a string
+const bundle = async (entry) => {
+  const result = await build({
+    root,
+    configFile: false,
+    logLevel: 'silent',
+    build: {
+      write: false,
+      minify: false,
+      lib: { entry, formats: ['es'], fileName: 'bundle' },
+    },
+  })
+  const [output] = Array.isArray(result) ? result : [result]
+  return output.output[0].code
+}
+
+const asModuleUrl = (code) => new URL(`data:text/javascript,${encodeURIComponent(code)}`)
+
+// Lets the worker module, written for a browser worker, run in a worker thread
+const WORKER_SHIM = `
+import { parentPort } from 'node:worker_threads';
+globalThis.self = globalThis;
+self.postMessage = (message) => parentPort.postMessage(message);
+parentPort.on('message', (data) => self.onmessage({ data }));
+`
+
+// Deterministic pseudo-random numbers, so every run matches the same text
+const random = (() => {
+  let seed = 42
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296
+    return seed / 4294967296
+  }
+})()
+
+const VOCABULARY = `agreement party parties shall thereof hereinafter obligation breach
+  remedy indemnify liability damages termination notice provision clause section
+  contract lessee lessor premises consideration warranty covenant jurisdiction
+  arbitration dispute tribunal plaintiff defendant appellant respondent court
+  judgment order decree statute regulation compliance confidential disclosure
+  property assignment successor waiver amendment schedule annexure effective
+  payment invoice interest penalty default cure period written consent lawful`
+  .split(/\s+/)
+  .filter(Boolean)
+
+const pick = (list) => list[Math.floor(random() * list.length)]
+
+// Dense page text laid out in lines, with some punctuation, like text
+// extracted from a PDF
+const makePage = (wordCount) => {
+  const words = []
+  for (let i = 0; i < wordCount; i++) {
+    let word = pick(VOCABULARY)
+    if (random() < 0.08) word += pick([',', '.', ';'])
+    words.push(word)
+  }
+  let text = ''
+  words.forEach((word, i) => {
+    if (i > 0) text += i % 12 === 0 ? '\n' : ' '
+    text += word
+  })
+  return { text, words }
+}
+
+// Quotes that are on the page, on it with some words changed, or not on it
+// at all (which runs every matching stage); `perKind` of each of `kinds`
+const makeQuotes = ({ words }, perKind, quoteLength, kinds = ['exact', 'altered', 'absent']) => {
+  const slice = () => {
+    const start = Math.floor(random() * (words.length - quoteLength))
+    return words.slice(start, start + quoteLength)
+  }
+  const makers = {
+    exact: () => slice().join(' '),
+    altered: () => slice().map((word) => (random() < 0.1 ? `${word}s` : word)).join(' '),
+    absent: () => Array.from({ length: quoteLength }, () => `${pick(VOCABULARY)}x`).join(' '),
+  }
+  const quotes = []
+  for (let i = 0; i < perKind; i++) {
+    kinds.forEach((kind) => quotes.push(makers[kind]()))
+  }
+  return quotes.map((quote, index) => ({ index, quote }))
+}
+
+// The worker's matchCitations message for quotes cited on a one-page document
+const matchCitationsPayload = ({ text }, quotes) => ({
+  pageNumber: 1,
+  quotes: quotes.map((quote) => ({ ...quote, page: 1 })),
+  pages: { 1: text },
+})
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Run `work` and report its duration and the longest main-thread stall
+const measure = async (work) => {
+  let last = performance.now()
+  let longestStall = 0
+  const timer = setInterval(() => {
+    const now = performance.now()
+    longestStall = Math.max(longestStall, now - last)
+    last = now
+  }, 1)
+
+  const started = performance.now()
+  await work()
+  const now = performance.now()
+  longestStall = Math.max(longestStall, now - last)
+  clearInterval(timer)
+  return { total: now - started, longestStall }
+}
+
+// A minimal client for the worker's message API
+const createClient = (worker) => {
+  let nextId = 1
+  const pending = new Map()
+  worker.on('message', ({ id, result, error }) => {
+    const job = pending.get(id)
+    if (!job) return
+    pending.delete(id)
+    if (error) job.reject(new Error(error))
+    else job.resolve(result)
+  })
+  return {
+    run(type, payload) {
+      const id = nextId++
+      const promise = new Promise((resolve, reject) => pending.set(id, { resolve, reject }))
+      worker.postMessage({ id, type, payload })
+      return { id, promise }
+    },
+    cancel(id) {
+      pending.delete(id)
+      worker.postMessage({ id, type: 'cancel' })
+    },
+  }
+}
+
+const format = (ms) => `${ms.toFixed(1)} ms`.padStart(11)
+
+const main = async () => {
+  const matcher = await import(asModuleUrl(await bundle('src/lib/quoteMatcher.js')))
+  const worker = new Worker(asModuleUrl(WORKER_SHIM + (await bundle('src/lib/textWorker.js'))))
+  const client = createClient(worker)
+
+  const scenarios = [
+    { name: '2,000 words, 6 quotes', words: 2000, perKind: 2, quoteLength: 40 },
+    { name: '6,000 words, 12 quotes', words: 6000, perKind: 4, quoteLength: 60 },
+    { name: '12,000 words, 18 quotes', words: 12000, perKind: 6, quoteLength: 80 },
+  ]
+
+  console.log('Citation matching: main thread vs text worker\n')
+  console.log(`${'page'.padEnd(26)}${'run'.padEnd(30)}${'total'.padStart(11)}${'longest stall'.padStart(16)}`)
+
+  for (const scenario of scenarios) {
+    const page = makePage(scenario.words)
+    const quotes = makeQuotes(page, scenario.perKind, scenario.quoteLength)
+    const payload = matchCitationsPayload(page, quotes)
+
+    const mainThread = await measure(() => {
+      const words = matcher.preparePage(page.text)
+      quotes.forEach(({ quote }) => matcher.findQuote(page.text, quote, words))
+    })
+    const firstRun = await measure(() => client.run('matchCitations', payload).promise)
+    const cachedRun = await measure(() => client.run('matchCitations', payload).promise)
+
+    const rows = [
+      ['main thread', mainThread],
+      ['worker, first visit', firstRun],
+      ['worker, page revisited', cachedRun],
+    ]
+    rows.forEach(([label, { total, longestStall }], i) => {
+      console.log(`${(i === 0 ? scenario.name : '').padEnd(26)}${label.padEnd(30)}${format(total)}${format(longestStall).padStart(16)}`)
+    })
+  }
+
+  // Paging on 50 ms into a dense page whose quotes are not on it: without
+  // cancelling, the next page's matching shares the worker with stale work
+  const leavePageEarly = async (cancel) => {
+    const stale = makePage(12000)
+    const next = makePage(12000)
+    const staleJob = client.run('matchCitations', matchCitationsPayload(stale, makeQuotes(stale, 12, 80, ['absent'])))
+    await delay(50)
+    if (cancel) client.cancel(staleJob.id)
+    const timing = await measure(
+      () => client.run('matchCitations', matchCitationsPayload(next, makeQuotes(next, 3, 80, ['exact']))).promise
+    )
+    // Let stale work that was left running finish before anything else is timed
+    if (!cancel) await staleJob.promise
+    return timing
+  }
+
+  const waited = await leavePageEarly(false)
+  const cancelled = await leavePageEarly(true)
+
+  console.log('\nTime to highlight the next page after leaving a 12,000 word page early')
+  console.log(`${'stale work left running'.padEnd(56)}${format(waited.total)}`)
+  console.log(`${'stale work cancelled'.padEnd(56)}${format(cancelled.total)}`)
+
+  await worker.terminate()
+}
+
+main().catch((err) => {
+  console.log(err)
+  process.exitCode = 1
+})
@@ -35,4 +35,8 @@ export default [
       ],
     },
   },
+  {
+    files: ['benchmarks/**/*.js', 'test/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
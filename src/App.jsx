@@ -1,208 +1,760 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import LeftPanel from "./components/LeftPanel";
 import RightPanel from "./components/RightPanel";
+import FileDropZone from "./components/FileDropZone";
+import {
+  createTurnId,
+  loadConversation,
+  saveConversation,
+} from "./lib/conversationStorage";
+import {
+  createCaseDocument,
+  findDuplicateDocument,
+  markDocumentsUploaded,
+  matchesDocument,
+  restoreCaseDocuments,
+  toStoredDocument,
+} from "./lib/caseDocuments";
+import {
+  loadSessions,
+  getSession,
+  recordSession,
+  renameSession,
+  deleteSession,
+  getSessionTitle,
+} from "./lib/caseSessions";
+import { loadAnnotations, saveAnnotations } from "./lib/annotations";
+import { buildMemo, exportMemo } from "./lib/memoExport";
+import { verifyCitations, isAwaitingDocument } from "./lib/citationVerification";
+import { hashFile } from "./lib/fileHash";
+import { storePdf, loadCasePdfs, deleteCasePdfs, documentKey, StorageQuotaError } from "./lib/pdfStore";
+import { validatePdfFile } from "./lib/pdfValidation";
+import { CASE_STATUS, waitForIngestion } from "./lib/ingestion";
+import {
+  DEFAULT_QUESTION_MODE,
+  getQuestionMode,
+  getSelectionAction,
+  pickStructuredResult,
+} from "./lib/questionModes";
+import { STREAM_ACCEPT, isStreamingResponse, parseAskStream } from "./lib/askStream";
+import {
+  ask,
+  ingest,
+  readJson,
+  getApiConfig,
+  CaseExpiredError,
+  ValidationError,
+  ServerError,
+  TimeoutError,
+  NetworkOfflineError,
+} from "./lib/apiClient";
 
 export default function App() {
-  const [pdfFile, setPdfFile] = useState(null);
-  const [citedPagesMetadata, setCitedPagesMetadata] = useState([]);
+  // PDFs in the current case, and the one shown in the viewer. Documents of
+  // a stored case come back without their files until re-attached.
+  const [documents, setDocuments] = useState(() =>
+    restoreCaseDocuments(getSession(localStorage.getItem("case_id"))?.documents)
+  );
+  const [activeDocumentId, setActiveDocumentId] = useState(null);
+  // Saved cases for the session manager
+  const [sessions, setSessions] = useState(loadSessions);
   const [message, setMessage] = useState("");
-  const [answer, setAnswer] = useState("");
-  const [docId, setDocId] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
+  // Question mode (question_type) for the next question
+  const [questionType, setQuestionType] = useState(DEFAULT_QUESTION_MODE);
+  // Text selected in the viewer that the next question is about
+  const [selectionContext, setSelectionContext] = useState(null);
   const [caseId, setCaseId] = useState(() => {
     // Initialize case_id from localStorage on component mount
     return localStorage.getItem("case_id") || null;
   });
+  // Chat thread: one entry per question/answer turn, restored for the stored case_id
+  const [turns, setTurns] = useState(() => loadConversation(localStorage.getItem("case_id")));
+  const [activeTurnId, setActiveTurnId] = useState(null);
+  // The user's highlights and notes across the case's documents
+  const [annotations, setAnnotations] = useState(() => loadAnnotations(localStorage.getItem("case_id")));
+  const [isOffline, setIsOffline] = useState(() => navigator.onLine === false);
+  // Where the case is in ingestion (see lib/ingestion.js). A stored case_id
+  // was ingested in an earlier visit.
+  const [caseStatus, setCaseStatus] = useState(() =>
+    localStorage.getItem("case_id") ? CASE_STATUS.READY : CASE_STATUS.IDLE
+  );
+  const [ingestError, setIngestError] = useState(null);
+  // Indexing progress reported by the server (0-100), if any
+  const [ingestProgress, setIngestProgress] = useState(null);
+  // Upload of new files to /ingest: { loaded, total, fileCount } or null
+  const [uploadProgress, setUploadProgress] = useState(null);
+  // Messages for files that were rejected when added
+  const [uploadErrors, setUploadErrors] = useState([]);
+  // Turns whose citations are being checked against the documents
+  const [verifyingTurnIds, setVerifyingTurnIds] = useState(() => new Set());
   const viewerRef = useRef();
+  const abortControllerRef = useRef(null);
+  const ingestControllerRef = useRef(null);
+  // "caseId/key" of PDFs already copied to IndexedDB in this visit
+  const storedPdfKeysRef = useRef(new Set());
+  // Turn id -> the loaded documents (ids) its citations were last checked
+  // against automatically in this visit
+  const checkedTurnsRef = useRef(new Map());
 
-  // Ask backend a question
-  const handleSend = async () => {
-    if (!message.trim()) return;
+  // Keep the thread in sync with localStorage for the current case. While an
+  // answer streams in, the write waits until the turn is done, stopped or
+  // failed rather than rewriting the whole thread for every token.
+  useEffect(() => {
+    if (turns.some((turn) => turn.status === "streaming")) return;
+    saveConversation(caseId, turns);
+  }, [caseId, turns]);
 
-    // Prevent sending if no file and no case_id
-    if (!pdfFile && !caseId) {
-      console.error("No file uploaded and no active session");
-      return;
-    }
+  // Annotations made before the first ingest are saved once the case exists
+  useEffect(() => {
+    saveAnnotations(caseId, annotations);
+  }, [caseId, annotations]);
+
+  // Keep the saved-session entry for this case up to date; it only changes
+  // with a new question or upload, not with every streamed token
+  const lastQuestion = turns[turns.length - 1]?.question;
+  const storedDocuments = useMemo(
+    () => documents.filter((doc) => doc.uploaded).map(toStoredDocument),
+    [documents]
+  );
+  useEffect(() => {
+    if (!caseId) return;
+    setSessions(recordSession(caseId, { documents: storedDocuments, lastQuestion }));
+  }, [caseId, storedDocuments, lastQuestion]);
+
+  // Bring back the local copies of this case's PDFs (after a reload or resume)
+  useEffect(() => {
+    if (!caseId) return;
+    let cancelled = false;
+
+    loadCasePdfs(caseId)
+      .then((stored) => {
+        if (cancelled || stored.length === 0) return;
+        stored.forEach((entry) => storedPdfKeysRef.current.add(`${caseId}/${entry.key}`));
+        setDocuments((prev) =>
+          prev.map((doc) => {
+            if (doc.file) return doc;
+            const match = stored.find((entry) => entry.key === documentKey(doc));
+            return match ? { ...doc, file: match.file } : doc;
+          })
+        );
+      })
+      .catch((err) => console.warn("Could not read stored PDFs:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [caseId]);
+
+  // Keep a local copy of every ingested PDF for the current case
+  useEffect(() => {
+    if (!caseId) return;
+    documents
+      .filter((doc) => doc.file && doc.uploaded)
+      .forEach((doc) => {
+        const key = `${caseId}/${documentKey(doc)}`;
+        if (storedPdfKeysRef.current.has(key)) return;
+        storedPdfKeysRef.current.add(key);
+
+        storePdf(caseId, doc).catch((err) => {
+          console.warn(`Could not store ${doc.name} locally:`, err);
+          if (err instanceof StorageQuotaError) {
+            setUploadErrors((prev) => [
+              ...prev,
+              `"${doc.name}" could not be saved on this device (${err.message}). It will need re-attaching after a reload.`,
+            ]);
+          }
+        });
+      });
+  }, [caseId, documents]);
+
+  // Track connectivity so the offline banner clears itself
+  useEffect(() => {
+    const goOnline = () => setIsOffline(false);
+    const goOffline = () => setIsOffline(true);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  const isLoading = turns.some((turn) => turn.status === "loading" || turn.status === "streaming");
+
+  // Citations highlighted in the viewer belong to the selected turn,
+  // falling back to the most recent turn that has any
+  const activeTurn =
+    turns.find((turn) => turn.id === activeTurnId) ||
+    [...turns].reverse().find((turn) => turn.citedPagesMetadata?.length > 0);
+  const citedPagesMetadata = activeTurn?.citedPagesMetadata || [];
+  const activeDocument = documents.find((doc) => doc.id === activeDocumentId) || documents[0] || null;
 
-    setIsLoading(true);
-    const formData = new FormData();
-    
-    // Add question and question_type
-    formData.append("question", message);
-    formData.append("question_type", "general_question");
-    
-    // Logic: Send case_id if we have one, otherwise send file
-    if (caseId) {
-      formData.append("case_id", caseId);
-      console.log("🔄 SUBSEQUENT REQUEST - Sending with case_id:", caseId);
-    } else if (pdfFile) {
-      formData.append("file", pdfFile);
-      console.log("🆕 FIRST REQUEST - Sending with new file:", pdfFile.name);
+  // patch may be an object or a function of the current turn
+  const updateTurn = useCallback((turnId, patch) => {
+    setTurns((prev) =>
+      prev.map((turn) =>
+        turn.id === turnId
+          ? { ...turn, ...(typeof patch === "function" ? patch(turn) : patch) }
+          : turn
+      )
+    );
+  }, []);
+
+  // Look up each citation's quote on its cited page, or with fullDocument
+  // across the whole document, and keep the results on the turn
+  const checkTurnCitations = useCallback(async (turn, { fullDocument = false } = {}) => {
+    setVerifyingTurnIds((prev) => new Set(prev).add(turn.id));
+    try {
+      const checks = await verifyCitations(turn.citedPagesMetadata, documents, { fullDocument });
+      updateTurn(turn.id, { citationChecks: checks });
+    } finally {
+      setVerifyingTurnIds((prev) => {
+        const next = new Set(prev);
+        next.delete(turn.id);
+        return next;
+      });
     }
+  }, [documents, updateTurn]);
 
-    // Debug: Log what we're sending
-    console.log("📤 FormData contents:");
-    for (let pair of formData.entries()) {
-      console.log(`  ${pair[0]}:`, pair[1]);
+  // Check each finished answer's citations once its documents are available,
+  // and again when a cited document that wasn't loaded then is added
+  useEffect(() => {
+    const loadedDocuments = documents.filter((doc) => doc.file).map((doc) => doc.id).join(",");
+    if (!loadedDocuments) return;
+    turns.forEach((turn) => {
+      if (
+        turn.status !== "done" ||
+        !turn.citedPagesMetadata?.length ||
+        (turn.citationChecks && !turn.citationChecks.some(isAwaitingDocument)) ||
+        checkedTurnsRef.current.get(turn.id) === loadedDocuments
+      ) {
+        return;
+      }
+      checkedTurnsRef.current.set(turn.id, loadedDocuments);
+      checkTurnCitations(turn);
+    });
+  }, [turns, documents, checkTurnCitations]);
+
+  const handleVerifyCitations = (turnId) => {
+    const turn = turns.find((t) => t.id === turnId);
+    if (turn) checkTurnCitations(turn, { fullDocument: true });
+  };
+
+  // End the session locally when the backend no longer knows the case
+  const expireSession = useCallback(() => {
+    console.warn("⚠️ Case ID invalid/expired, clearing session");
+    localStorage.removeItem("case_id");
+    setSessions(deleteSession(caseId));
+    deleteCasePdfs(caseId).catch((err) => console.warn("Could not remove stored PDFs:", err));
+    setCaseId(null);
+    setCaseStatus(CASE_STATUS.IDLE);
+    // The files are still here; ingesting them again starts a new case
+    setDocuments((prev) => prev.map((doc) => ({ ...doc, uploaded: false, sourceId: null })));
+  }, [caseId]);
+
+  // Store case_id if it's new (from the first ingest)
+  const storeCaseId = useCallback((newCaseId) => {
+    if (!newCaseId) {
+      console.warn("⚠️ No case_id in response!");
+    } else if (newCaseId !== caseId) {
+      localStorage.setItem("case_id", newCaseId);
+      setCaseId(newCaseId);
     }
+  }, [caseId]);
+
+  // Send documents that aren't in the case yet to /ingest and wait until
+  // the server has indexed them
+  const ingestPendingDocuments = useCallback(async () => {
+    // Documents without a file wait until they are re-attached
+    const pendingDocuments = documents.filter((doc) => !doc.uploaded && doc.file);
+    if (pendingDocuments.length === 0) return;
+    const pendingIds = pendingDocuments.map((doc) => doc.id);
+
+    const controller = new AbortController();
+    ingestControllerRef.current = controller;
+    setCaseStatus(CASE_STATUS.UPLOADING);
+    setIngestError(null);
+    setIngestProgress(null);
+    setUploadProgress({ loaded: 0, total: 1, fileCount: pendingDocuments.length });
 
     try {
-      const BACKEND_URL = 'http://localhost:8000';
-      const res = await fetch(`${BACKEND_URL}/ask`, {
-        method: "POST",
-        body: formData,
+      const initialStatus = await ingest({
+        files: pendingDocuments.map((doc) => doc.file),
+        caseId,
+        signal: controller.signal,
+        onUploadProgress: (progress) => {
+          if (progress.done) {
+            setUploadProgress(null);
+            setCaseStatus(CASE_STATUS.PROCESSING);
+          } else {
+            setUploadProgress({ ...progress, fileCount: pendingDocuments.length });
+          }
+        },
       });
-      
-      console.log("📡 Response status:", res.status);
-      console.log("📡 Response ok:", res.ok);
-      
-      if (!res.ok) {
-        // Handle case where case_id might be invalid/expired
-        if ((res.status === 404 || res.status === 400) && caseId) {
-          console.warn("⚠️ Case ID invalid/expired, clearing session");
-          localStorage.removeItem("case_id");
-          setCaseId(null);
-          setAnswer("Your session has expired. Please upload the PDF file again to continue.");
-          setIsLoading(false);
-          return;
-        }
-        throw new Error(`HTTP error! status: ${res.status}`);
+      setUploadProgress(null);
+      setCaseStatus(CASE_STATUS.PROCESSING);
+      storeCaseId(initialStatus.case_id || caseId);
+
+      const finalStatus = await waitForIngestion(initialStatus.case_id || caseId, {
+        initialStatus,
+        signal: controller.signal,
+        onStatus: (status) => setIngestProgress(status.progress ?? null),
+      });
+
+      setDocuments((prev) =>
+        markDocumentsUploaded(prev, pendingIds, finalStatus.documents || initialStatus.documents)
+      );
+      setCaseStatus(CASE_STATUS.READY);
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      console.error("❌ Ingest failed:", err);
+
+      if (err instanceof CaseExpiredError) {
+        // Starts over with every document under a new case
+        expireSession();
+      } else if (err instanceof ValidationError) {
+        // The server won't take these files; drop them rather than retrying forever
+        setDocuments((prev) => prev.filter((doc) => !pendingIds.includes(doc.id)));
+        setUploadErrors([`The server rejected ${pendingDocuments.map((doc) => `"${doc.name}"`).join(", ")}: ${err.detail || err.message}`]);
+        setCaseStatus(caseId ? CASE_STATUS.READY : CASE_STATUS.IDLE);
+      } else {
+        if (err instanceof NetworkOfflineError) setIsOffline(true);
+        setIngestError(
+          err instanceof NetworkOfflineError
+            ? "Couldn't reach the server to upload the documents."
+            : err.detail || err.message || "The documents could not be processed."
+        );
+        setCaseStatus(CASE_STATUS.FAILED);
       }
-      
-      // Get raw response text first
-      const responseText = await res.text();
-      console.log("📥 Raw response text:", responseText);
-      
-      // Parse JSON
-      let data;
-      try {
-        data = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error("❌ JSON parse error:", parseError);
-        console.error("📄 Response text that failed to parse:", responseText);
-        throw new Error("Invalid JSON response from server");
+    } finally {
+      setUploadProgress(null);
+      setIngestProgress(null);
+      if (ingestControllerRef.current === controller) {
+        ingestControllerRef.current = null;
       }
-      
-      // Enhanced debug logging
-      console.log("=== 📋 FULL BACKEND RESPONSE ===");
-      console.log("Raw response object:", data);
-      console.log("Response keys:", Object.keys(data));
-      console.log("✅ answer:", data.answer ? "Present" : "Missing");
-      console.log("✅ cited_pages_metadata:", data.cited_pages_metadata ? "Present" : "Missing"); 
-      console.log("✅ case_id:", data.case_id ? `Present: ${data.case_id}` : "Missing");
-      console.log("✅ case_id type:", typeof data.case_id);
-      console.log("Current stored case_id:", caseId);
-      console.log("================================");
-      
-      // Store case_id if it's new (from first upload)
-      if (data.case_id) {
-        if (data.case_id !== caseId) {
-          console.log("💾 Storing NEW case_id:", data.case_id);
-          localStorage.setItem("case_id", data.case_id);
-          setCaseId(data.case_id);
-        } else {
-          console.log("ℹ️ Same case_id returned:", data.case_id);
-        }
-      } else {
-        console.warn("⚠️ No case_id in response!");
+    }
+  }, [documents, caseId, storeCaseId, expireSession]);
+
+  // New documents are ingested as soon as nothing else is in flight;
+  // files added meanwhile wait for the current batch
+  useEffect(() => {
+    const canIngest = caseStatus === CASE_STATUS.IDLE || caseStatus === CASE_STATUS.READY;
+    if (canIngest && documents.some((doc) => !doc.uploaded && doc.file)) {
+      ingestPendingDocuments();
+    }
+  }, [documents, caseStatus, ingestPendingDocuments]);
+
+  // Try the failed batch again (the effect above picks it up)
+  const handleRetryIngest = () => {
+    setIngestError(null);
+    setCaseStatus(caseId ? CASE_STATUS.READY : CASE_STATUS.IDLE);
+  };
+
+  // Each error type gets its own message and side effects
+  const handleAskError = (turnId, err) => {
+    console.error("❌ Ask failed:", err);
+
+    if (err instanceof CaseExpiredError) {
+      expireSession();
+      updateTurn(turnId, {
+        status: "error",
+        errorType: err.type,
+        retryable: documents.length > 0,
+        error: documents.length > 0
+          ? "Your session has expired. The documents are being uploaded again; retry once they are ready."
+          : "Your session has expired. Please upload the PDF files again to continue.",
+      });
+    } else if (err instanceof ValidationError) {
+      updateTurn(turnId, {
+        status: "error",
+        errorType: err.type,
+        error: `The request was rejected: ${err.detail || err.message}`,
+      });
+    } else if (err instanceof NetworkOfflineError) {
+      setIsOffline(true);
+      updateTurn(turnId, {
+        status: "error",
+        errorType: err.type,
+        retryable: true,
+        error: "Couldn't reach the server. Check your connection and try again.",
+      });
+    } else if (err instanceof TimeoutError) {
+      updateTurn(turnId, {
+        status: "error",
+        errorType: err.type,
+        retryable: true,
+        error: "The server took too long to answer. Please try again.",
+      });
+    } else {
+      updateTurn(turnId, {
+        status: "error",
+        errorType: err.type || "server",
+        retryable: true,
+        error: "Sorry, there was an error processing your request.",
+      });
+    }
+  };
+
+  // Send a question for a turn already in the thread and fill in its answer
+  const fetchAnswer = async (turnId, question, questionType, selection) => {
+    // Apply one streamed message to the turn being answered
+    const applyStreamEvent = (event) => {
+      switch (event.type) {
+        case "meta":
+          if (event.case_id) storeCaseId(event.case_id);
+          break;
+        case "token":
+          updateTurn(turnId, (turn) => ({
+            status: "streaming",
+            answer: turn.answer + (event.text ?? event.token ?? ""),
+          }));
+          break;
+        case "citation":
+          if (event.citation) {
+            updateTurn(turnId, (turn) => ({
+              citedPagesMetadata: [...turn.citedPagesMetadata, event.citation],
+            }));
+          }
+          break;
+        case "citations":
+          updateTurn(turnId, (turn) => ({
+            citedPagesMetadata: [...turn.citedPagesMetadata, ...(event.cited_pages_metadata || [])],
+          }));
+          break;
+        case "done":
+          storeCaseId(event.case_id || caseId);
+          updateTurn(turnId, (turn) => ({
+            status: "done",
+            answer: event.answer ?? turn.answer,
+            citedPagesMetadata: event.cited_pages_metadata ?? turn.citedPagesMetadata,
+            result: pickStructuredResult(event) ?? turn.result ?? null,
+          }));
+          break;
+        case "error":
+          throw new ServerError(event.message || "Streaming error");
+        default:
+          console.warn("Unknown stream event:", event);
       }
-      
-      setAnswer(data.answer || "");
-      setCitedPagesMetadata(data.cited_pages_metadata || []);
-      
-      // Set docId if provided
-      if (data.doc_id) {
-        setDocId(data.doc_id);
+    };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      const res = await ask({
+        question,
+        questionType,
+        caseId,
+        selection,
+        stream: true,
+        accept: STREAM_ACCEPT,
+        signal: controller.signal,
+      });
+      setIsOffline(false);
+
+      // Streaming mode: show tokens and citations as they arrive
+      if (isStreamingResponse(res)) {
+        for await (const event of parseAskStream(res)) {
+          applyStreamEvent(event);
+        }
+        // The stream may end without an explicit "done" message
+        updateTurn(turnId, (turn) => (turn.status === "done" ? {} : { status: "done" }));
+        return;
       }
-      
-      console.log("✅ State updated successfully");
-      
+
+      const data = await readJson(res);
+      storeCaseId(data.case_id);
+
+      updateTurn(turnId, {
+        status: "done",
+        answer: data.answer || "",
+        result: pickStructuredResult(data),
+        citedPagesMetadata: data.cited_pages_metadata || [],
+      });
     } catch (err) {
-      console.error("❌ Ask failed:", err);
-      setAnswer("Sorry, there was an error processing your request.");
-      setCitedPagesMetadata([]);
-      
-      // Clear invalid case_id on certain errors
-      if (err.message.includes('404') || err.message.includes('400')) {
-        localStorage.removeItem("case_id");
-        setCaseId(null);
+      // Stopped by the user: keep whatever was streamed so far
+      if (err.name === "AbortError") {
+        updateTurn(turnId, { status: "stopped" });
+        return;
       }
+      handleAskError(turnId, err);
     } finally {
-      setIsLoading(false);
-      setMessage("");
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
     }
   };
 
-  // Scroll & highlight citation in RightPanel
-  const handleCitationClick = (citationMetadata) => {
+  // Ask backend a question; returns whether it was sent
+  const askQuestion = (question, questionType = DEFAULT_QUESTION_MODE, selection = null) => {
+    if (!question) return false;
+
+    // Questions need an ingested case
+    if (!caseId || caseStatus !== CASE_STATUS.READY) {
+      console.error("No ingested case to ask about");
+      return false;
+    }
+
+    const turnId = createTurnId();
+    setTurns((prev) => [
+      ...prev,
+      {
+        id: turnId,
+        question,
+        questionType,
+        selection,
+        answer: "",
+        citedPagesMetadata: [],
+        status: "loading",
+        error: null,
+        createdAt: new Date().toISOString(),
+      },
+    ]);
+    setActiveTurnId(turnId);
+    fetchAnswer(turnId, question, questionType, selection);
+    return true;
+  };
+
+  // Modes like "summarize" can be sent without typing anything
+  const handleSend = () => {
+    const question = message.trim() || getQuestionMode(questionType).defaultQuestion;
+    if (!question) return;
+    setMessage("");
+    setSelectionContext(null);
+    askQuestion(question, questionType, selectionContext);
+  };
+
+  // Ask a failed question again in place of the failed turn; the failed
+  // turn stays until the question has actually been sent
+  const handleRetry = (turn) => {
+    if (!askQuestion(turn.question, turn.questionType, turn.selection)) return;
+    setTurns((prev) => prev.filter((t) => t.id !== turn.id));
+  };
+
+  // Pre-fill the question box for text selected in the viewer; the user
+  // can edit the question before sending it
+  const handleAskAboutSelection = (selection, actionId) => {
+    const action = getSelectionAction(actionId);
+    setSelectionContext(selection);
+    setQuestionType(action.questionType);
+    setMessage(action.question);
+  };
+
+  // Abort the question currently being answered
+  const handleStop = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  // Scroll & highlight citation in RightPanel (switching documents if needed)
+  const handleCitationClick = (citationMetadata, turnId) => {
+    if (turnId) {
+      setActiveTurnId(turnId);
+    }
     if (viewerRef.current) {
       viewerRef.current.scrollToCitation(citationMetadata);
     }
   };
 
-  const handleUpload = (file) => {
-    setPdfFile(file);
-    // Reset previous results when new file is uploaded
-    setAnswer("");
-    setCitedPagesMetadata([]);
-    setDocId(null);
-    
-    // Clear case_id when new file is uploaded to start fresh session
-    localStorage.removeItem("case_id");
-    setCaseId(null);
-    
-    console.log("🆕 New file uploaded, starting fresh session");
+  // Give a restored document its file back, if it is the same PDF.
+  // Resolves to an error message, or null once attached.
+  const handleReattachDocument = async (documentId, file) => {
+    const doc = documents.find((d) => d.id === documentId);
+    if (!doc) return null;
+
+    const hash = await hashFile(file);
+    if (!matchesDocument(doc, file, hash)) {
+      return `"${file.name}" is not the same file as "${doc.name}". Choose the original PDF.`;
+    }
+    setDocuments((prev) => prev.map((d) => (d.id === documentId ? { ...d, file, hash: d.hash || hash } : d)));
+    return null;
   };
 
-  // Clear session function
+  // Add PDFs to the current case; they are ingested right away.
+  // Files that aren't usable PDFs are rejected here with a message.
+  const handleUpload = async (files) => {
+    const fileList = Array.from(files);
+    if (fileList.length === 0) return;
+
+    const duplicates = fileList.map((file) => findDuplicateDocument(documents, file)).filter(Boolean);
+    const newFiles = fileList.filter((file) => !findDuplicateDocument(documents, file));
+
+    const { maxUploadMb } = await getApiConfig();
+    const problems = await Promise.all(
+      newFiles.map((file) => validatePdfFile(file, { maxBytes: maxUploadMb * 1024 * 1024 }))
+    );
+
+    // A file matching a restored document re-attaches it instead
+    const reattachProblems = await Promise.all(
+      duplicates
+        .filter((doc) => !doc.file)
+        .map((doc) => handleReattachDocument(doc.id, fileList.find((file) => findDuplicateDocument([doc], file))))
+    );
+    setUploadErrors([...problems, ...reattachProblems].filter(Boolean));
+
+    const accepted = newFiles.filter((_, i) => !problems[i]);
+    const hashes = await Promise.all(accepted.map(hashFile));
+    const added = accepted.map((file, i) => createCaseDocument(file, hashes[i]));
+    if (added.length > 0) {
+      setDocuments((prev) => [...prev, ...added]);
+    }
+
+    // Show the first new document, or the existing one for a file added twice
+    const shown = added[0] || duplicates[0];
+    if (shown) setActiveDocumentId(shown.id);
+  };
+
+  // Leave the current case (it stays in the saved sessions) and start empty
   const handleNewSession = () => {
-    setPdfFile(null);
-    setAnswer("");
-    setCitedPagesMetadata([]);
-    setDocId(null);
+    ingestControllerRef.current?.abort();
+    abortControllerRef.current?.abort();
+    setDocuments([]);
+    setActiveDocumentId(null);
+    setUploadErrors([]);
+    setIngestError(null);
+    setCaseStatus(CASE_STATUS.IDLE);
+    setTurns([]);
+    setActiveTurnId(null);
+    setAnnotations([]);
     setMessage("");
+    setSelectionContext(null);
     localStorage.removeItem("case_id");
     setCaseId(null);
-    console.log("🔄 Session cleared");
+  };
+
+  // Switch to a saved case: its conversation comes back, and its PDFs are
+  // reloaded from this device when stored here, or re-attached by the user
+  const handleResumeSession = (session) => {
+    handleNewSession();
+    const restored = restoreCaseDocuments(session.documents);
+    localStorage.setItem("case_id", session.caseId);
+    setCaseId(session.caseId);
+    setTurns(loadConversation(session.caseId));
+    setAnnotations(loadAnnotations(session.caseId));
+    setDocuments(restored);
+    setActiveDocumentId(restored[0]?.id ?? null);
+    setCaseStatus(CASE_STATUS.READY);
+  };
+
+  const handleRenameSession = (sessionCaseId, name) => {
+    setSessions(renameSession(sessionCaseId, name));
+  };
+
+  const handleDeleteSession = (sessionCaseId) => {
+    if (sessionCaseId === caseId) handleNewSession();
+    setSessions(deleteSession(sessionCaseId));
+    deleteCasePdfs(sessionCaseId).catch((err) => console.warn("Could not remove stored PDFs:", err));
+  };
+
+  // Download one answer (turnId) or the whole conversation as a memo
+  const handleExport = (formatId, turnId = null) => {
+    const session = sessions.find((s) => s.caseId === caseId);
+    const memo = buildMemo({
+      turns: turnId ? turns.filter((turn) => turn.id === turnId) : turns,
+      title: session ? getSessionTitle(session) : undefined,
+      documents,
+      // Notes belong with the whole conversation, not a single answer
+      annotations: turnId ? [] : annotations,
+    });
+    return exportMemo(memo, formatId);
+  };
+
+  const handleCreateAnnotation = (annotation) => {
+    setAnnotations((prev) => [...prev, annotation]);
+  };
+
+  const handleUpdateAnnotation = (annotationId, patch) => {
+    setAnnotations((prev) =>
+      prev.map((annotation) =>
+        annotation.id === annotationId ? { ...annotation, ...patch, updatedAt: new Date().toISOString() } : annotation
+      )
+    );
+  };
+
+  const handleDeleteAnnotation = (annotationId) => {
+    setAnnotations((prev) => prev.filter((annotation) => annotation.id !== annotationId));
+  };
+
+  // Download the case's highlights and notes on their own
+  const handleExportAnnotations = (formatId) => {
+    const session = sessions.find((s) => s.caseId === caseId);
+    const memo = buildMemo({
+      turns: [],
+      title: `${session ? getSessionTitle(session) : "Case"}: highlights and notes`,
+      documents,
+      annotations,
+    });
+    return exportMemo(memo, formatId);
   };
 
   // Function to check if we have an active session
   // Changed: Only need case_id OR file to have a session
   const hasActiveSession = () => {
-    return !!(caseId || pdfFile);
+    return !!(caseId || documents.length > 0);
   };
 
   // Function to check if we can send messages
   const canSendMessage = () => {
-    return !!(caseId || pdfFile) && message.trim() && !isLoading;
+    const hasQuestion = !!message.trim() || !!getQuestionMode(questionType).defaultQuestion;
+    return caseStatus === CASE_STATUS.READY && !!caseId && hasQuestion && !isLoading;
   };
 
   return (
-    <div className="h-screen flex bg-gray-100">
+    <FileDropZone onFiles={handleUpload} disabled={isLoading} className="h-screen flex bg-gray-100">
       {/* PDF Viewer on LEFT */}
       <RightPanel 
         ref={viewerRef} 
-        pdfFile={pdfFile} 
+        pdfFile={activeDocument?.file || null}
+        documents={documents}
+        activeDocumentId={activeDocument?.id ?? null}
+        onSelectDocument={setActiveDocumentId}
+        onReattachDocument={handleReattachDocument}
         citedPagesMetadata={citedPagesMetadata}
-        docId={docId}
+        annotations={annotations}
+        onCreateAnnotation={handleCreateAnnotation}
+        onUpdateAnnotation={handleUpdateAnnotation}
+        onDeleteAnnotation={handleDeleteAnnotation}
+        onExportAnnotations={handleExportAnnotations}
+        onAskAboutSelection={handleAskAboutSelection}
       />
 
       {/* ChatGPT-style QA + citations on RIGHT */}
       <LeftPanel
-        answer={answer}
-        citedPagesMetadata={citedPagesMetadata}
+        turns={turns}
+        activeTurnId={activeTurnId}
         message={message}
         setMessage={setMessage}
+        questionType={questionType}
+        onQuestionTypeChange={setQuestionType}
+        selectionContext={selectionContext}
+        onClearSelectionContext={() => setSelectionContext(null)}
         onSend={handleSend}
+        onStop={handleStop}
+        onRetry={handleRetry}
+        isOffline={isOffline}
         onCitationClick={handleCitationClick}
+        onVerifyCitations={handleVerifyCitations}
+        verifyingTurnIds={verifyingTurnIds}
+        onExport={handleExport}
         onUpload={handleUpload}
         isLoading={isLoading}
         hasActiveSession={hasActiveSession()}
         canSendMessage={canSendMessage()}
         onNewSession={handleNewSession}
         caseId={caseId}
+        sessions={sessions}
+        onResumeSession={handleResumeSession}
+        onRenameSession={handleRenameSession}
+        onDeleteSession={handleDeleteSession}
+        caseStatus={caseStatus}
+        ingestProgress={ingestProgress}
+        ingestError={ingestError}
+        onRetryIngest={handleRetryIngest}
+        uploadProgress={uploadProgress}
+        uploadErrors={uploadErrors}
+        onDismissUploadErrors={() => setUploadErrors([])}
       />
-    </div>
+    </FileDropZone>
   );
 }
\ No newline at end of file
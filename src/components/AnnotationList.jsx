@@ -0,0 +1,117 @@
+import React, { useState, useMemo } from "react";
+import { PencilIcon, TrashIcon } from "@heroicons/react/24/outline";
+import ExportMenu from "./ExportMenu";
+import { ColorPicker } from "./SelectionPopover";
+import { getAnnotationColor } from "../lib/annotations";
+
+function AnnotationRow({ annotation, isCurrentPage, onSelect, onUpdate, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftNote, setDraftNote] = useState("");
+
+  const startEdit = () => {
+    setDraftNote(annotation.note);
+    setIsEditing(true);
+  };
+
+  const submitEdit = (e) => {
+    e.preventDefault();
+    onUpdate(annotation.id, { note: draftNote.trim() });
+    setIsEditing(false);
+  };
+
+  return (
+    <li
+      className={`p-2 rounded border-l-4 bg-white text-xs ${isCurrentPage ? "ring-1 ring-blue-200" : ""}`}
+      style={{ borderLeftColor: getAnnotationColor(annotation.color).swatch }}
+    >
+      <button onClick={() => onSelect(annotation)} className="w-full text-left" title="Show in document">
+        <div className="text-gray-400">Page {annotation.page}</div>
+        <div className="text-gray-700 italic line-clamp-3">“{annotation.quote}”</div>
+      </button>
+
+      {isEditing ? (
+        <form onSubmit={submitEdit} className="mt-1 space-y-1">
+          <ColorPicker value={annotation.color} onChange={(color) => onUpdate(annotation.id, { color })} />
+          <textarea
+            autoFocus
+            value={draftNote}
+            onChange={(e) => setDraftNote(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setIsEditing(false)}
+            rows={3}
+            className="w-full px-1 py-0.5 border rounded resize-none focus:outline-none focus:ring focus:ring-blue-200"
+            aria-label="Note"
+          />
+          <div className="flex gap-1">
+            <button type="submit" className="px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-700">
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-2 py-0.5 rounded border hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="mt-1 flex items-start justify-between gap-1">
+          <div className={`flex-1 whitespace-pre-wrap break-words ${annotation.note ? "text-gray-800" : "text-gray-400"}`}>
+            {annotation.note || "No note"}
+          </div>
+          <div className="flex flex-shrink-0">
+            <button onClick={startEdit} className="p-0.5 rounded hover:bg-gray-100" title="Edit" aria-label="Edit">
+              <PencilIcon className="w-3.5 h-3.5 text-gray-500" />
+            </button>
+            <button
+              onClick={() => onDelete(annotation.id)}
+              className="p-0.5 rounded hover:bg-gray-100"
+              title="Delete"
+              aria-label="Delete"
+            >
+              <TrashIcon className="w-3.5 h-3.5 text-gray-500" />
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// The user's highlights and notes for the current document, in page order
+export default function AnnotationList({ annotations = [], currentPage, onSelect, onUpdate, onDelete, onExport }) {
+  const sorted = useMemo(
+    () => [...annotations].sort((a, b) => a.page - b.page || a.start - b.start),
+    [annotations]
+  );
+
+  if (sorted.length === 0) {
+    return (
+      <div className="text-xs text-gray-500 p-2">
+        Select text in the document to highlight it or add a note.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-2 space-y-2">
+      {onExport && (
+        <div className="flex justify-end">
+          <ExportMenu label="Export" title="Export highlights and notes" onExport={onExport} align="right" />
+        </div>
+      )}
+      <ul className="space-y-2">
+        {sorted.map((annotation) => (
+          <AnnotationRow
+            key={annotation.id}
+            annotation={annotation}
+            isCurrentPage={annotation.page === currentPage}
+            onSelect={onSelect}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
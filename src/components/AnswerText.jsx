@@ -0,0 +1,88 @@
+import React, { useState, useMemo } from "react";
+import parse from "html-react-parser";
+import { parseCitationMarkers } from "../lib/citationMarkers";
+import { renderMarkdown } from "../lib/markdown";
+import { getColorForPage } from "../lib/pageColors";
+
+// Superscript chip for one citation marker, with a hover/focus preview
+function CitationMarker({ label, citation, onClick }) {
+  const [open, setOpen] = useState(false);
+  const preview = citation.quote || citation.content_preview;
+
+  return (
+    <span
+      className="relative inline-block"
+      onMouseEnter={() => setOpen(true)}
+      onMouseLeave={() => setOpen(false)}
+    >
+      <sup>
+        <button
+          onClick={() => onClick(citation)}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          className={`mx-0.5 px-1.5 rounded-full text-[10px] font-semibold text-gray-800 ${getColorForPage(
+            citation.page
+          )} hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-blue-400`}
+          aria-label={`Citation ${label}, page ${citation.page}`}
+        >
+          {label}
+        </button>
+      </sup>
+
+      {open && (
+        <span
+          role="tooltip"
+          className="absolute z-30 bottom-full left-1/2 -translate-x-1/2 mb-1 w-72 p-2 rounded-lg bg-white border shadow-lg text-xs text-gray-700 whitespace-normal text-left"
+        >
+          <span className="block font-semibold text-gray-800 mb-1">
+            Page {citation.page}
+            {citation.file_name && <span className="font-normal text-gray-500"> · {citation.file_name}</span>}
+          </span>
+          <span className="block line-clamp-6">
+            {preview || <span className="italic text-gray-500">No preview available</span>}
+          </span>
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Markers inside code are literal text, not citations
+const isInsideCode = (node) => {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.name === 'code' || parent.name === 'pre') return true;
+  }
+  return false;
+};
+
+// Answer text rendered as sanitized Markdown, with inline citation markers
+// turned into clickable chips
+export default function AnswerText({ text, citations = [], onCitationClick }) {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+
+  const replace = (node) => {
+    if (node.type !== 'text' || isInsideCode(node)) return undefined;
+
+    const segments = parseCitationMarkers(node.data, citations);
+    if (!segments.some((segment) => segment.type === 'citation')) return undefined;
+
+    return (
+      <>
+        {segments.map((segment, idx) =>
+          segment.type === 'citation' ? (
+            <CitationMarker
+              key={idx}
+              label={segment.label}
+              citation={segment.citation}
+              onClick={onCitationClick}
+            />
+          ) : (
+            <React.Fragment key={idx}>{segment.text}</React.Fragment>
+          )
+        )}
+      </>
+    );
+  };
+
+  return <div className="answer-markdown">{parse(html, { replace })}</div>;
+}
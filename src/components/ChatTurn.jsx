@@ -0,0 +1,259 @@
+import React from "react";
+import { ExclamationTriangleIcon } from "@heroicons/react/24/outline";
+import AnswerText from "./AnswerText";
+import StructuredResult from "./StructuredResult";
+import ExportMenu from "./ExportMenu";
+import { getColorForPage } from "../lib/pageColors";
+import { getQuestionMode, DEFAULT_QUESTION_MODE } from "../lib/questionModes";
+import { CHECK_STATUS, isFlaggedCheck, isVerifiedCheck } from "../lib/citationVerification";
+
+// Label, colours and tooltip for a citation's check result
+const describeCheck = (check) => {
+  switch (check.status) {
+    case CHECK_STATUS.EXACT:
+      return { label: "Exact match", tone: "bg-green-100 text-green-800", title: "The quote is on the cited page" };
+    case CHECK_STATUS.FUZZY:
+      return {
+        label: `Fuzzy ${Math.round((check.score || 0) * 100)}%`,
+        tone: "bg-lime-100 text-lime-800",
+        title: "Most words of the quote appear in order on the cited page",
+      };
+    case CHECK_STATUS.SENTENCE:
+      return {
+        label: "Sentence match",
+        tone: "bg-yellow-100 text-yellow-800",
+        title: "Only part of a sentence from the quote was found on the cited page",
+      };
+    case CHECK_STATUS.NOT_ON_PAGE:
+      return {
+        label: "Not found on page",
+        tone: "bg-orange-100 text-orange-800",
+        title: "The quote is not on the cited page. Verify all citations to search the whole document.",
+      };
+    case CHECK_STATUS.WRONG_PAGE:
+      return {
+        label: `Wrong page: found on p. ${check.foundPage}`,
+        tone: "bg-red-100 text-red-800",
+        title: `The quote is on page ${check.foundPage}, not the cited page`,
+      };
+    case CHECK_STATUS.NOT_IN_DOCUMENT:
+      // Scanned pages whose text hasn't been read weren't searched
+      return check.unreadPages?.length
+        ? {
+            label: "Not in read pages",
+            tone: "bg-orange-100 text-orange-800",
+            title: `The quote was not found in the pages that could be searched. Scanned pages not read yet (open them in the viewer to read them): p. ${check.unreadPages.join(", ")}`,
+          }
+        : {
+            label: "Not in document",
+            tone: "bg-red-600 text-white",
+            title: "The quote was not found anywhere in the document and may be made up",
+          };
+    default:
+      return { label: "Not checked", tone: "bg-gray-100 text-gray-600", title: check.reason || "Not checked yet" };
+  }
+};
+
+function CitationCheckBadge({ check }) {
+  const { label, tone, title } = describeCheck(check);
+  return (
+    <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium whitespace-nowrap ${tone}`} title={title}>
+      {label}
+    </span>
+  );
+}
+
+export default function ChatTurn({
+  turn,
+  isActive,
+  onCitationClick,
+  onRetry,
+  canRetry = true,
+  onExport,
+  onVerifyCitations,
+  isVerifying,
+  loadingLabel,
+}) {
+  const citedPagesMetadata = turn.citedPagesMetadata || [];
+  // Turns saved before modes existed are general questions
+  const mode = getQuestionMode(turn.questionType);
+  const openItem = (citation) => onCitationClick(citation, turn.id);
+
+  // Get unique pages from citations
+  const uniquePages = [...new Set(citedPagesMetadata.map(c => c.page))].sort((a, b) => a - b);
+  const citationChecks = turn.citationChecks || [];
+  const checkedDocument = citationChecks.some((check) => check.scope === "document");
+
+  return (
+    <div className="mb-6">
+      {/* Question */}
+      <div className="flex justify-end mb-2">
+        <div className="max-w-[85%] px-3 py-2 rounded-lg bg-blue-500 text-white break-words whitespace-pre-wrap">
+          {mode.id !== DEFAULT_QUESTION_MODE && (
+            <div className="text-[10px] font-semibold uppercase tracking-wide text-blue-100 mb-0.5">{mode.label}</div>
+          )}
+          {turn.selection && (
+            <div className="mb-1 pl-2 border-l-2 border-blue-200 text-xs text-blue-50 italic line-clamp-3">
+              p. {turn.selection.page}: “{turn.selection.text}”
+            </div>
+          )}
+          {turn.question}
+        </div>
+      </div>
+
+      {/* Loading state */}
+      {turn.status === "loading" && (
+        <div className="p-3 rounded-lg bg-blue-50 border border-blue-200">
+          <div className="flex items-center space-x-2">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+            <span className="text-blue-600">{loadingLabel}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Error state */}
+      {turn.status === "error" && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700 flex items-start space-x-2">
+          <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+          <span className="flex-1">{turn.error}</span>
+          {turn.retryable && onRetry && (
+            <button
+              onClick={() => onRetry(turn)}
+              disabled={!canRetry}
+              className="flex-shrink-0 text-xs font-medium text-red-700 underline hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Answer (complete, still streaming, or stopped part-way) */}
+      {(turn.status === "done" || turn.status === "streaming" || turn.status === "stopped") && (
+        <div
+          className={`p-3 rounded-lg border break-words ${
+            isActive ? "bg-gray-100 border-blue-300" : "bg-gray-100"
+          }`}
+        >
+          {mode.id === "summarize" && (turn.answer || turn.result) && (
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Summary</h4>
+          )}
+          {turn.result && (
+            <div className={turn.answer ? "mb-3" : ""}>
+              <StructuredResult result={turn.result} onCitationClick={openItem} />
+            </div>
+          )}
+          {turn.answer ? (
+            <AnswerText
+              text={turn.answer}
+              citations={citedPagesMetadata}
+              onCitationClick={openItem}
+            />
+          ) : (turn.status !== "streaming" && !turn.result && (
+            <span className="text-gray-500 italic">No answer returned.</span>
+          ))}
+          {turn.status === "streaming" && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-500 animate-pulse" />
+          )}
+          {turn.status === "stopped" && (
+            <div className="mt-2 text-xs text-gray-500 italic">Answer stopped before it was complete.</div>
+          )}
+        </div>
+      )}
+
+      {onExport && (turn.status === "done" || turn.status === "stopped") && (turn.answer || turn.result) && (
+        <div className="mt-1 flex justify-end">
+          <ExportMenu
+            label="Export memo"
+            title="Export this answer with its citations"
+            onExport={(formatId) => onExport(formatId, turn.id)}
+            align="right"
+          />
+        </div>
+      )}
+
+      {/* Citation page buttons */}
+      {uniquePages.length > 0 && (
+        <div className="mt-2">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-semibold text-gray-700">Referenced Pages:</h4>
+            {onVerifyCitations && turn.status === "done" && (
+              <button
+                onClick={() => onVerifyCitations(turn.id)}
+                disabled={isVerifying}
+                className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                title="Search the documents for every quoted passage"
+              >
+                {isVerifying ? "Verifying..." : "Verify all citations"}
+              </button>
+            )}
+          </div>
+          {checkedDocument && (
+            <div className="mb-2 text-xs text-gray-600">
+              {citationChecks.filter(isVerifiedCheck).length} of {citedPagesMetadata.length} quotes found on the cited page
+              {citationChecks.some(isFlaggedCheck) && (
+                <span className="ml-1 font-medium text-red-700">
+                  · {citationChecks.filter(isFlaggedCheck).length} flagged
+                </span>
+              )}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2 mb-2">
+            {uniquePages.map((pageNum) => (
+              <button
+                key={pageNum}
+                onClick={() => {
+                  // Find first citation for this page
+                  const citationForPage = citedPagesMetadata.find(c => c.page === pageNum);
+                  if (citationForPage) {
+                    onCitationClick(citationForPage, turn.id);
+                  }
+                }}
+                className={`px-3 py-1 rounded-full text-sm font-semibold text-gray-800 ${getColorForPage(
+                  pageNum
+                )} hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-blue-400`}
+                aria-label={`Go to page ${pageNum} citation`}
+                title={`Go to page ${pageNum}`}
+              >
+                Page {pageNum}
+              </button>
+            ))}
+          </div>
+
+          {/* Individual citations with preview */}
+          <div className="space-y-2">
+            {citedPagesMetadata.map((citation, idx) => (
+              <button
+                key={`${citation.source_id}-${citation.page}-${idx}`}
+                onClick={() => onCitationClick(citation, turn.id)}
+                className={`w-full text-left p-2 rounded-lg bg-gray-50 hover:bg-gray-100 border transition-colors ${
+                  isFlaggedCheck(citationChecks[idx]) ? "border-red-300" : "border-gray-200"
+                }`}
+                title="Click to view in document"
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium text-gray-800 ${getColorForPage(citation.page)}`}>
+                        Page {citation.page}
+                      </span>
+                      {citationChecks[idx] && <CitationCheckBadge check={citationChecks[idx]} />}
+                      {citation.file_name && citation.file_name !== citation.document_title && (
+                        <span className="text-xs text-gray-500 truncate">
+                          {citation.file_name}
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-600 line-clamp-2">
+                      {citation.content_preview || citation.quote}
+                    </div>
+                  </div>
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
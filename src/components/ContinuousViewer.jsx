@@ -0,0 +1,372 @@
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useMemo,
+  useCallback,
+  forwardRef,
+  useImperativeHandle,
+} from "react";
+import PdfPageView from "./PdfPageView";
+import HighlightedText from "./HighlightedText";
+import { getPageText } from "../lib/pdfText";
+import { isCancelled } from "../lib/textWorkerClient";
+import { findCitationRangesForPage } from "../lib/citationMatching";
+import { searchRangesForPage } from "../lib/documentSearch";
+import { annotationRangesForPage } from "../lib/annotations";
+
+// Pages within this distance of the viewport are mounted; the rest are placeholders
+const PRELOAD_MARGIN = '1200px 0px';
+const TEXT_PAGE_ESTIMATE = 700;
+const HIGHLIGHT_POLL_MS = 150;
+const HIGHLIGHT_POLL_ATTEMPTS = 20;
+
+// One page in the stack. Its text is only extracted, and its content only
+// rendered, while it is near the viewport.
+function PageSlot({
+  pdf,
+  pageNumber,
+  isNear,
+  viewMode,
+  scale,
+  citedPagesMetadata,
+  pageHits,
+  activeHitIndex,
+  pageAnnotations,
+  placeholderHeight,
+  registerSlot,
+  onMeasure,
+}) {
+  const [pageText, setPageText] = useState(null);
+  const [isOcr, setIsOcr] = useState(false);
+  const [citationRanges, setCitationRanges] = useState([]);
+  const slotRef = useRef(null);
+
+  useEffect(() => {
+    registerSlot(pageNumber, slotRef.current);
+    return () => registerSlot(pageNumber, null);
+  }, [pageNumber, registerSlot]);
+
+  // Extract text lazily and drop it again once the page scrolls away
+  useEffect(() => {
+    if (!isNear) {
+      setPageText(null);
+      return;
+    }
+
+    let cancelled = false;
+    getPageText(pdf, pageNumber, { ocr: true })
+      .then(({ text, ocr }) => {
+        if (cancelled) return;
+        setPageText(text);
+        setIsOcr(ocr);
+      })
+      .catch((err) => {
+        console.error(`Error extracting text from page ${pageNumber}:`, err);
+        if (!cancelled) setPageText('');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber, isNear]);
+
+  // Remember the rendered height so the placeholder keeps scroll positions stable
+  useEffect(() => {
+    if (!isNear || !slotRef.current) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      onMeasure(pageNumber, entry.target.offsetHeight);
+    });
+    observer.observe(slotRef.current);
+    return () => observer.disconnect();
+  }, [isNear, pageNumber, onMeasure]);
+
+  // Citation quotes are matched in the text worker; the match is dropped if
+  // the page scrolls away or its citations change first
+  useEffect(() => {
+    if (!pageText) {
+      setCitationRanges([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    findCitationRangesForPage(pdf, pageNumber, pageText, citedPagesMetadata, { signal: controller.signal })
+      .then(setCitationRanges)
+      .catch((err) => {
+        if (!isCancelled(err)) console.error(`Error matching citations on page ${pageNumber}:`, err);
+      });
+    return () => controller.abort();
+  }, [pdf, pageText, pageNumber, citedPagesMetadata]);
+
+  const ranges = useMemo(
+    () =>
+      pageText
+        ? [
+            ...citationRanges,
+            ...searchRangesForPage(pageHits, pageNumber, activeHitIndex),
+            ...annotationRangesForPage(pageText, pageNumber, pageAnnotations),
+          ]
+        : [],
+    [pageText, pageNumber, citationRanges, pageHits, activeHitIndex, pageAnnotations]
+  );
+
+  let content;
+  if (!isNear) {
+    content = (
+      <div className="h-full flex items-center justify-center text-sm text-gray-400">
+        Page {pageNumber}
+      </div>
+    );
+  } else if (viewMode === 'page') {
+    content = (
+      <PdfPageView pdf={pdf} pageNumber={pageNumber} scale={scale} highlights={ranges} />
+    );
+  } else {
+    content = (
+      <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-sm border p-8 min-h-[600px]">
+        <div className="text-xs text-gray-400 mb-4">
+          Page {pageNumber}
+          {isOcr && pageText && (
+            <span className="ml-2 text-amber-700">Text read from the scanned page image (OCR); it may contain errors</span>
+          )}
+        </div>
+        {pageText === null ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : pageText ? (
+          <HighlightedText text={pageText} ranges={ranges} pageNumber={pageNumber} />
+        ) : (
+          <div className="text-center text-gray-500 py-16">No text found on this page</div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={slotRef}
+      data-page-number={pageNumber}
+      className="mb-6"
+      style={
+        isNear
+          ? { minHeight: viewMode === 'page' ? placeholderHeight : undefined }
+          : { height: placeholderHeight }
+      }
+    >
+      {content}
+    </div>
+  );
+}
+
+// Stacks every page of the document in one scroll container and virtualizes
+// them: only pages near the viewport are extracted and rendered.
+const ContinuousViewer = forwardRef(function ContinuousViewer(
+  {
+    pdf,
+    totalPages,
+    currentPage,
+    onPageChange,
+    viewMode,
+    scale,
+    citedPagesMetadata,
+    searchHits = [],
+    activeHitIndex = null,
+    annotations = [],
+  },
+  ref
+) {
+  const [nearPages, setNearPages] = useState(() => new Set([1, 2, 3]));
+  const [estimatedHeight, setEstimatedHeight] = useState(TEXT_PAGE_ESTIMATE);
+
+  const scrollRef = useRef(null);
+  const slotsRef = useRef({});
+  const heightsRef = useRef({});
+  const observerRef = useRef(null);
+  const frameRef = useRef(null);
+  const pollRef = useRef(null);
+  const currentPageRef = useRef(currentPage);
+  currentPageRef.current = currentPage;
+
+  // Track which slots are within the preload margin of the viewport
+  const registerSlot = useCallback((pageNumber, element) => {
+    if (!observerRef.current) {
+      observerRef.current = new IntersectionObserver(
+        (entries) => {
+          setNearPages((prev) => {
+            const next = new Set(prev);
+            entries.forEach((entry) => {
+              const page = Number(entry.target.dataset.pageNumber);
+              if (entry.isIntersecting) {
+                next.add(page);
+              } else {
+                next.delete(page);
+              }
+            });
+            return next;
+          });
+        },
+        { root: scrollRef.current, rootMargin: PRELOAD_MARGIN }
+      );
+    }
+
+    const previous = slotsRef.current[pageNumber];
+    if (previous) observerRef.current.unobserve(previous);
+
+    if (element) {
+      slotsRef.current[pageNumber] = element;
+      observerRef.current.observe(element);
+    } else {
+      delete slotsRef.current[pageNumber];
+    }
+  }, []);
+
+  const handleMeasure = useCallback((pageNumber, height) => {
+    heightsRef.current[pageNumber] = height;
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (observerRef.current) observerRef.current.disconnect();
+      if (frameRef.current) cancelAnimationFrame(frameRef.current);
+      clearInterval(pollRef.current);
+    };
+  }, []);
+
+  // Estimate unrendered page heights from the first page at the current zoom
+  useEffect(() => {
+    heightsRef.current = {};
+    if (viewMode !== 'page' || !pdf) {
+      setEstimatedHeight(TEXT_PAGE_ESTIMATE);
+      return;
+    }
+
+    let cancelled = false;
+    pdf.getPage(1).then((page) => {
+      if (!cancelled) setEstimatedHeight(Math.ceil(page.getViewport({ scale }).height) + 2);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, viewMode, scale]);
+
+  const scrollToPage = useCallback((pageNumber, behavior = 'auto') => {
+    const container = scrollRef.current;
+    const slot = slotsRef.current[pageNumber];
+    if (!container || !slot) return;
+    container.scrollTo({ top: slot.offsetTop - 16, behavior });
+  }, []);
+
+  // Keep the current page in view when the layout or zoom changes
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => scrollToPage(currentPageRef.current));
+    return () => cancelAnimationFrame(frame);
+  }, [viewMode, scale, scrollToPage]);
+
+  // currentPage follows the page crossing the upper third of the viewport
+  const handleScroll = () => {
+    if (frameRef.current) return;
+
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      const container = scrollRef.current;
+      if (!container) return;
+
+      const anchor = container.scrollTop + container.clientHeight / 3;
+      let low = 1;
+      let high = totalPages;
+      let page = 1;
+
+      // Slots are ordered, so binary search on their offsets
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        const slot = slotsRef.current[mid];
+        if (!slot) break;
+        if (slot.offsetTop <= anchor) {
+          page = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+
+      if (page !== currentPageRef.current) {
+        onPageChange(page);
+      }
+    });
+  };
+
+  // Scroll to a page, then to the mark matching selector once the page has
+  // been extracted and rendered
+  const scrollToMark = (pageNumber, selector) => {
+    scrollToPage(pageNumber);
+    clearInterval(pollRef.current);
+
+    let attempts = 0;
+    pollRef.current = setInterval(() => {
+      attempts++;
+      const slot = slotsRef.current[pageNumber];
+      const mark = slot?.querySelector(selector);
+      if (mark) {
+        mark.scrollIntoView({ behavior: "smooth", block: "center" });
+      }
+      if (mark || attempts >= HIGHLIGHT_POLL_ATTEMPTS) {
+        clearInterval(pollRef.current);
+      }
+    }, HIGHLIGHT_POLL_MS);
+  };
+
+  useImperativeHandle(ref, () => ({
+    scrollToPage,
+    scrollToMark,
+  }));
+
+  // Group hits by page so each slot only re-renders for its own hits
+  const hitsByPage = useMemo(() => {
+    const byPage = new Map();
+    searchHits.forEach((hit) => {
+      if (!byPage.has(hit.page)) byPage.set(hit.page, []);
+      byPage.get(hit.page).push(hit);
+    });
+    return byPage;
+  }, [searchHits]);
+
+  const annotationsByPage = useMemo(() => {
+    const byPage = new Map();
+    annotations.forEach((annotation) => {
+      if (!byPage.has(annotation.page)) byPage.set(annotation.page, []);
+      byPage.get(annotation.page).push(annotation);
+    });
+    return byPage;
+  }, [annotations]);
+
+  const pageNumbers = useMemo(
+    () => Array.from({ length: totalPages }, (_, i) => i + 1),
+    [totalPages]
+  );
+
+  return (
+    <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-auto relative p-6">
+      {pageNumbers.map((pageNumber) => (
+        <PageSlot
+          key={pageNumber}
+          pdf={pdf}
+          pageNumber={pageNumber}
+          isNear={nearPages.has(pageNumber)}
+          viewMode={viewMode}
+          scale={scale}
+          citedPagesMetadata={citedPagesMetadata}
+          pageHits={hitsByPage.get(pageNumber)}
+          activeHitIndex={activeHitIndex}
+          pageAnnotations={annotationsByPage.get(pageNumber)}
+          placeholderHeight={heightsRef.current[pageNumber] || estimatedHeight}
+          registerSlot={registerSlot}
+          onMeasure={handleMeasure}
+        />
+      ))}
+    </div>
+  );
+});
+
+export default ContinuousViewer;
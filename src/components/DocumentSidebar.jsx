@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { ChevronRightIcon, ChevronDownIcon } from "@heroicons/react/24/outline";
+import AnnotationList from "./AnnotationList";
+
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_PRELOAD_MARGIN = '400px 0px';
+
+// Resolve an outline destination (named or explicit) to a 1-based page number
+const resolveDestinationPage = async (pdf, dest) => {
+  const explicitDest = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+  if (!Array.isArray(explicitDest) || explicitDest.length === 0) return null;
+
+  const target = explicitDest[0];
+  if (typeof target === 'number') return target + 1;
+  return (await pdf.getPageIndex(target)) + 1;
+};
+
+// Walk the outline tree and attach the page each bookmark points to
+const resolveOutline = (pdf, items) =>
+  Promise.all(
+    (items || []).map(async (item) => {
+      let page = null;
+      try {
+        page = item.dest ? await resolveDestinationPage(pdf, item.dest) : null;
+      } catch (err) {
+        console.warn(`Could not resolve bookmark "${item.title}":`, err);
+      }
+      return {
+        title: item.title,
+        page,
+        url: item.url || null,
+        bold: !!item.bold,
+        italic: !!item.italic,
+        items: await resolveOutline(pdf, item.items),
+      };
+    })
+  );
+
+// A page thumbnail, rendered only while near the visible part of the sidebar
+function Thumbnail({ pdf, pageNumber, height, isCurrent, isCited, onSelect, scrollRoot }) {
+  const [isNear, setIsNear] = useState(false);
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      ([entry]) => setIsNear(entry.isIntersecting),
+      { root: scrollRoot, rootMargin: THUMBNAIL_PRELOAD_MARGIN }
+    );
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!isNear) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    pdf.getPage(pageNumber)
+      .then((page) => {
+        if (cancelled) return;
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+        const canvas = canvasRef.current;
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        return renderTask.promise;
+      })
+      .catch((err) => {
+        if (err?.name !== 'RenderingCancelledException') {
+          console.warn(`Thumbnail for page ${pageNumber} failed:`, err);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pdf, pageNumber, isNear]);
+
+  // Keep the current page's thumbnail visible
+  useEffect(() => {
+    if (isCurrent && containerRef.current) {
+      containerRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isCurrent]);
+
+  return (
+    <button
+      ref={containerRef}
+      onClick={() => onSelect(pageNumber)}
+      className="w-full flex flex-col items-center py-2 focus:outline-none"
+      title={isCited ? `Page ${pageNumber} (cited)` : `Page ${pageNumber}`}
+    >
+      <div
+        className={`relative bg-white border ${
+          isCurrent ? 'ring-2 ring-blue-500' : 'hover:ring-2 hover:ring-gray-300'
+        }`}
+        style={{ width: THUMBNAIL_WIDTH, height }}
+      >
+        {isNear && <canvas ref={canvasRef} className="block w-full h-full" />}
+        {isCited && (
+          <span className="absolute top-1 right-1 px-1.5 py-0.5 rounded bg-yellow-300 text-[10px] font-semibold text-gray-800 shadow">
+            Cited
+          </span>
+        )}
+      </div>
+      <span className={`mt-1 text-xs ${isCurrent ? 'text-blue-600 font-semibold' : 'text-gray-600'}`}>
+        {pageNumber}
+      </span>
+    </button>
+  );
+}
+
+function OutlineItem({ item, depth, currentPage, onSelect }) {
+  const [expanded, setExpanded] = useState(depth === 0);
+  const hasChildren = item.items.length > 0;
+
+  return (
+    <li>
+      <div
+        className={`flex items-start text-sm rounded hover:bg-gray-100 ${
+          item.page === currentPage ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+        }`}
+        style={{ paddingLeft: depth * 12 }}
+      >
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className={`p-1 flex-shrink-0 ${hasChildren ? '' : 'invisible'}`}
+          aria-label={expanded ? 'Collapse' : 'Expand'}
+        >
+          {expanded ? <ChevronDownIcon className="w-3 h-3" /> : <ChevronRightIcon className="w-3 h-3" />}
+        </button>
+        <button
+          onClick={() => {
+            if (item.page) {
+              onSelect(item.page);
+            } else if (item.url) {
+              window.open(item.url, '_blank', 'noopener,noreferrer');
+            }
+          }}
+          disabled={!item.page && !item.url}
+          className="flex-1 flex justify-between text-left py-1 pr-2 disabled:opacity-50"
+          style={{ fontWeight: item.bold ? 600 : undefined, fontStyle: item.italic ? 'italic' : undefined }}
+        >
+          <span className="break-words">{item.title}</span>
+          {item.page && <span className="ml-2 text-xs text-gray-400">{item.page}</span>}
+        </button>
+      </div>
+      {hasChildren && expanded && (
+        <ul>
+          {item.items.map((child, idx) => (
+            <OutlineItem key={idx} item={child} depth={depth + 1} currentPage={currentPage} onSelect={onSelect} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Collapsible navigation sidebar for the viewer: page thumbnails (with cited
+// pages marked), the PDF's own bookmark tree and the user's notes
+export default function DocumentSidebar({
+  pdf,
+  totalPages,
+  currentPage,
+  citedPagesMetadata = [],
+  onNavigate,
+  annotations = [],
+  onSelectAnnotation,
+  onUpdateAnnotation,
+  onDeleteAnnotation,
+  onExportAnnotations,
+}) {
+  const [tab, setTab] = useState('thumbnails');
+  const [outline, setOutline] = useState(null);
+  const [outlineError, setOutlineError] = useState(null);
+  const [thumbnailHeight, setThumbnailHeight] = useState(Math.round(THUMBNAIL_WIDTH * 1.3));
+  const [scrollRoot, setScrollRoot] = useState(null);
+
+  // Size placeholders from the first page's aspect ratio
+  useEffect(() => {
+    if (!pdf) return;
+    let cancelled = false;
+    pdf.getPage(1).then((page) => {
+      const viewport = page.getViewport({ scale: 1 });
+      if (!cancelled) setThumbnailHeight(Math.round((THUMBNAIL_WIDTH * viewport.height) / viewport.width));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf]);
+
+  // Load and resolve bookmarks once per document
+  useEffect(() => {
+    if (!pdf) return;
+    let cancelled = false;
+    setOutline(null);
+    setOutlineError(null);
+
+    pdf.getOutline()
+      .then((items) => resolveOutline(pdf, items))
+      .then((resolved) => {
+        if (!cancelled) setOutline(resolved);
+      })
+      .catch((err) => {
+        console.error("Error loading outline:", err);
+        if (!cancelled) setOutlineError('Could not read bookmarks from this PDF');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf]);
+
+  const citedPages = useMemo(
+    () => new Set(citedPagesMetadata.filter(Boolean).map((citation) => citation.page)),
+    [citedPagesMetadata]
+  );
+
+  const pageNumbers = useMemo(
+    () => Array.from({ length: totalPages }, (_, i) => i + 1),
+    [totalPages]
+  );
+
+  return (
+    <div className="w-48 flex-shrink-0 flex flex-col border-r bg-gray-100">
+      <div className="flex border-b bg-white text-xs">
+        {['thumbnails', 'outline', 'notes'].map((name) => (
+          <button
+            key={name}
+            onClick={() => setTab(name)}
+            className={`flex-1 py-2 capitalize ${
+              tab === name ? 'border-b-2 border-blue-500 text-blue-600 font-medium' : 'text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {name}
+            {name === 'notes' && annotations.length > 0 && (
+              <span className="ml-1 text-xs text-gray-400">{annotations.length}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div ref={setScrollRoot} className="flex-1 overflow-y-auto">
+        {tab === 'thumbnails' && scrollRoot && pageNumbers.map((pageNumber) => (
+          <Thumbnail
+            key={pageNumber}
+            pdf={pdf}
+            pageNumber={pageNumber}
+            height={thumbnailHeight}
+            isCurrent={pageNumber === currentPage}
+            isCited={citedPages.has(pageNumber)}
+            onSelect={onNavigate}
+            scrollRoot={scrollRoot}
+          />
+        ))}
+
+        {tab === 'outline' && (
+          <div className="p-2">
+            {outlineError ? (
+              <div className="text-xs text-red-600 p-2">{outlineError}</div>
+            ) : outline === null ? (
+              <div className="text-xs text-gray-500 p-2">Loading bookmarks...</div>
+            ) : outline.length === 0 ? (
+              <div className="text-xs text-gray-500 p-2">This document has no bookmarks.</div>
+            ) : (
+              <ul>
+                {outline.map((item, idx) => (
+                  <OutlineItem key={idx} item={item} depth={0} currentPage={currentPage} onSelect={onNavigate} />
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {tab === 'notes' && (
+          <AnnotationList
+            annotations={annotations}
+            currentPage={currentPage}
+            onSelect={onSelectAnnotation}
+            onUpdate={onUpdateAnnotation}
+            onDelete={onDeleteAnnotation}
+            onExport={onExportAnnotations}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState, useRef, useEffect } from "react";
+import { ArrowDownTrayIcon } from "@heroicons/react/24/outline";
+import { EXPORT_FORMATS } from "../lib/memoExport";
+
+// Button with a small menu of memo formats; onExport(formatId) may be async
+export default function ExportMenu({ label = "Export", title, onExport, disabled, align = "left", textSize = "text-xs" }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const handleSelect = async (formatId) => {
+    setOpen(false);
+    setExporting(true);
+    setError(null);
+    try {
+      await onExport(formatId);
+    } catch (err) {
+      console.error("Export failed:", err);
+      setError("Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative inline-block">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled || exporting}
+        className={`flex items-center ${textSize} text-gray-600 hover:text-blue-600 disabled:opacity-50 disabled:hover:text-gray-600`}
+        title={title}
+      >
+        <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+        {exporting ? "Exporting..." : label}
+      </button>
+      {error && <span className="ml-2 text-xs text-red-600">{error}</span>}
+
+      {open && (
+        <ul
+          className={`absolute z-30 mt-1 w-40 py-1 rounded-lg bg-white border shadow-lg text-sm ${
+            align === "right" ? "right-0" : "left-0"
+          }`}
+        >
+          {EXPORT_FORMATS.map((format) => (
+            <li key={format.id}>
+              <button
+                onClick={() => handleSelect(format.id)}
+                className="w-full text-left px-3 py-1.5 text-gray-700 hover:bg-gray-100"
+              >
+                {format.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
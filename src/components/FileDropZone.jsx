@@ -0,0 +1,70 @@
+import React, { useState, useRef } from "react";
+import { ArrowUpTrayIcon } from "@heroicons/react/24/outline";
+
+const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+// Accepts files dropped anywhere over its children, with a full-size overlay
+// while something is being dragged over it
+export default function FileDropZone({ onFiles, disabled, className = '', children }) {
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child element; count them to know
+  // when the pointer has really left the zone
+  const dragDepthRef = useRef(0);
+
+  const handleDragEnter = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!hasFiles(e)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+    if (!disabled && e.dataTransfer.files.length > 0) {
+      onFiles(Array.from(e.dataTransfer.files));
+    }
+  };
+
+  return (
+    <div
+      className={`relative ${className}`}
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {children}
+
+      {isDragging && (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-blue-500/10 border-4 border-dashed border-blue-400 pointer-events-none">
+          <div className="px-6 py-4 rounded-lg bg-white shadow-lg text-center">
+            <ArrowUpTrayIcon className="w-10 h-10 mx-auto mb-2 text-blue-500" />
+            {disabled ? (
+              <div className="text-gray-700">Wait for the current answer before adding files</div>
+            ) : (
+              <>
+                <div className="font-medium text-gray-800">Drop PDFs to add them to this case</div>
+                <div className="text-sm text-gray-500">Encrypted or non-PDF files are rejected</div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { forwardRef, useMemo } from "react";
+import { buildHighlightSegments } from "../lib/citationHighlights";
+
+// Page text with citation, search and annotation highlights, rendered as
+// React elements. The text is never treated as markup, so whatever a PDF
+// contains ("<script>", "<img onerror=...>", stray "<") shows up as plain
+// characters. `pageNumber` marks the element for text selection (see
+// lib/textSelection.js).
+const HighlightedText = forwardRef(function HighlightedText({ text, ranges = [], pageNumber }, ref) {
+  const segments = useMemo(() => buildHighlightSegments(text, ranges), [text, ranges]);
+
+  const renderSegment = (segment, idx) => {
+    if (!segment.range) return <React.Fragment key={idx}>{segment.text}</React.Fragment>;
+
+    const { range } = segment;
+    return range.searchHitIndex !== undefined ? (
+      <mark key={idx} className={range.className} data-search-hit={range.searchHitIndex}>
+        {segment.text}
+      </mark>
+    ) : (
+      <mark
+        key={idx}
+        id={segment.id || undefined}
+        className={range.className}
+        data-citation-id={range.citationIndex}
+      >
+        {segment.text}
+      </mark>
+    );
+  };
+
+  return (
+    <div
+      ref={ref}
+      data-text-page={pageNumber}
+      className="prose prose-gray max-w-none text-content whitespace-pre-line"
+      style={{ lineHeight: '1.6', fontSize: '16px' }}
+    >
+      {segments.map((segment, idx) =>
+        segment.annotation ? (
+          <mark
+            key={idx}
+            className={segment.annotation.className}
+            data-annotation-id={segment.annotation.annotationId}
+            title={segment.annotation.note || undefined}
+          >
+            {renderSegment(segment, idx)}
+          </mark>
+        ) : (
+          renderSegment(segment, idx)
+        )
+      )}
+    </div>
+  );
+});
+
+export default HighlightedText;
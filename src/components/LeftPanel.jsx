@@ -1,40 +1,67 @@
-import React, { useState } from "react";
-import { PaperClipIcon, DocumentIcon, CalendarIcon, UserIcon } from "@heroicons/react/24/outline";
+import React, { useState, useRef, useEffect } from "react";
+import ChatTurn from "./ChatTurn";
+import SessionManager from "./SessionManager";
+import ExportMenu from "./ExportMenu";
+import { QUESTION_MODES, getQuestionMode } from "../lib/questionModes";
+import {
+  PaperClipIcon,
+  DocumentIcon,
+  CalendarIcon,
+  UserIcon,
+  XMarkIcon,
+  FolderOpenIcon,
+  PlusIcon,
+} from "@heroicons/react/24/outline";
 
 export default function LeftPanel({
-  answer,
-  citedPagesMetadata,
+  turns,
+  activeTurnId,
   message,
   setMessage,
+  questionType,
+  onQuestionTypeChange,
+  selectionContext,
+  onClearSelectionContext,
   onSend,
+  onStop,
+  onRetry,
   onUpload,
   onCitationClick,
+  onVerifyCitations,
+  verifyingTurnIds,
+  onExport,
   isLoading,
   hasActiveSession,
   canSendMessage,
   onNewSession,
   caseId,
+  sessions = [],
+  onResumeSession,
+  onRenameSession,
+  onDeleteSession,
+  isOffline,
+  caseStatus,
+  ingestProgress,
+  ingestError,
+  onRetryIngest,
+  uploadProgress,
+  uploadErrors = [],
+  onDismissUploadErrors,
 }) {
   const [showMetadataDetails, setShowMetadataDetails] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const threadEndRef = useRef(null);
+  const questionInputRef = useRef(null);
 
-  // Assign a consistent color for each page
-  const colors = [
-    "bg-yellow-300",
-    "bg-green-300",
-    "bg-blue-300",
-    "bg-purple-300",
-    "bg-pink-300",
-    "bg-orange-300",
-    "bg-red-300",
-    "bg-indigo-300",
-    "bg-teal-300",
-    "bg-gray-300",
-  ];
+  // Keep the newest turn in view as the thread grows
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: "smooth", block: "end" });
+  }, [turns.length]);
 
-  const getColorForPage = (page) => colors[(page - 1) % colors.length];
-
-  // Get unique pages from citations
-  const uniquePages = [...new Set(citedPagesMetadata.map(c => c.page))].sort((a, b) => a - b);
+  // Text picked in the viewer: let the user adjust the pre-filled question
+  useEffect(() => {
+    if (selectionContext) questionInputRef.current?.focus();
+  }, [selectionContext]);
 
   // Handle pressing Enter key in input to send the message
   const handleKeyDown = (e) => {
@@ -65,38 +92,90 @@ export default function LeftPanel({
     return `${size.toFixed(1)} ${units[i]}`;
   };
 
-  // Get document metadata (from first citation if available)
-  const documentMetadata = citedPagesMetadata.length > 0 ? citedPagesMetadata[0] : null;
+  // Get document metadata (from the first citation of the latest cited answer)
+  const latestCitedTurn = [...turns].reverse().find(t => t.citedPagesMetadata?.length > 0);
+  const documentMetadata = latestCitedTurn ? latestCitedTurn.citedPagesMetadata[0] : null;
 
   return (
-    <div className="w-[35%] flex flex-col border-l bg-white">
+    <div className="relative w-[35%] flex flex-col border-l bg-white">
+      {/* Session controls */}
+      <div className="flex items-center justify-between px-4 py-2 border-b">
+        <button
+          onClick={() => setShowSessions(true)}
+          className="flex items-center text-sm text-gray-700 hover:text-blue-600"
+          title="Saved sessions"
+        >
+          <FolderOpenIcon className="w-4 h-4 mr-1" />
+          Sessions{sessions.length > 0 && ` (${sessions.length})`}
+        </button>
+        <div className="flex items-center space-x-4">
+          <ExportMenu
+            label="Export"
+            title="Export the whole conversation as a memo"
+            onExport={(formatId) => onExport(formatId)}
+            disabled={!turns.some((turn) => turn.answer || turn.result)}
+            align="right"
+            textSize="text-sm"
+          />
+          <button
+            onClick={onNewSession}
+            disabled={!hasActiveSession}
+            className="flex items-center text-sm text-gray-700 hover:text-blue-600 disabled:opacity-50 disabled:hover:text-gray-700"
+            title="Start a new session; the current one stays in Sessions"
+          >
+            <PlusIcon className="w-4 h-4 mr-1" />
+            New session
+          </button>
+        </div>
+      </div>
+
+      {showSessions && (
+        <SessionManager
+          sessions={sessions}
+          currentCaseId={caseId}
+          onResume={(session) => {
+            onResumeSession(session);
+            setShowSessions(false);
+          }}
+          onRename={onRenameSession}
+          onDelete={onDeleteSession}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+
+      {/* Offline banner */}
+      {isOffline && (
+        <div className="px-4 py-2 text-sm bg-amber-50 border-b border-amber-200 text-amber-800">
+          You are offline. Questions will fail until the connection is back.
+        </div>
+      )}
+
+      {/* Files rejected when added */}
+      {uploadErrors.length > 0 && (
+        <div className="flex items-start px-4 py-2 text-sm bg-red-50 border-b border-red-200 text-red-700">
+          <ul className="flex-1 space-y-0.5">
+            {uploadErrors.map((uploadError, idx) => (
+              <li key={idx}>{uploadError}</li>
+            ))}
+          </ul>
+          <button
+            onClick={onDismissUploadErrors}
+            className="ml-2 p-0.5 rounded hover:bg-red-100"
+            aria-label="Dismiss"
+          >
+            <XMarkIcon className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
       {/* Answer display area */}
       <div className="flex-1 overflow-y-auto p-4">
         {/* Initial state - no active session */}
-        {!hasActiveSession && !answer && !isLoading && (
+        {!hasActiveSession && turns.length === 0 && (
           <div className="text-center text-gray-500 mt-8">
             <DocumentIcon className="w-16 h-16 mx-auto mb-4 opacity-50" />
             <h3 className="text-lg font-medium mb-2">Legal Document Assistant</h3>
-            <p className="text-sm">Upload a PDF document and ask questions.</p>
-          </div>
-        )}
-
-        {/* Loading state */}
-        {isLoading && (
-          <div className="mb-4 p-3 rounded-lg bg-blue-50 border border-blue-200">
-            <div className="flex items-center space-x-2">
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-              <span className="text-blue-600">
-                {caseId ? "Processing your question..." : "Processing document and question..."}
-              </span>
-            </div>
-          </div>
-        )}
-
-        {/* Answer */}
-        {answer && (
-          <div className="mb-4 p-3 rounded-lg bg-gray-100 border break-words whitespace-pre-wrap">
-            {answer}
+            <p className="text-sm">Upload one or more PDF documents and ask questions.</p>
           </div>
         )}
 
@@ -148,73 +227,105 @@ export default function LeftPanel({
           </div>
         )}
 
-        {/* Citation page buttons */}
-        {uniquePages.length > 0 && (
-          <div className="mb-4">
-            <h4 className="text-sm font-semibold text-gray-700 mb-2">Referenced Pages:</h4>
-            <div className="flex flex-wrap gap-2 mb-2">
-              {uniquePages.map((pageNum) => (
-                <button
-                  key={pageNum}
-                  onClick={() => {
-                    // Find first citation for this page
-                    const citationForPage = citedPagesMetadata.find(c => c.page === pageNum);
-                    if (citationForPage) {
-                      onCitationClick(citationForPage);
-                    }
-                  }}
-                  className={`px-3 py-1 rounded-full text-sm font-semibold text-gray-800 ${getColorForPage(
-                    pageNum
-                  )} hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-blue-400`}
-                  aria-label={`Go to page ${pageNum} citation`}
-                  title={`Go to page ${pageNum}`}
-                >
-                  Page {pageNum}
-                </button>
-              ))}
-            </div>
-
-            {/* Individual citations with preview */}
-            <div className="space-y-2">
-              {citedPagesMetadata.map((citation, idx) => (
-                <button
-                  key={`${citation.source_id}-${citation.page}-${idx}`}
-                  onClick={() => onCitationClick(citation)}
-                  className="w-full text-left p-2 rounded-lg bg-gray-50 hover:bg-gray-100 border border-gray-200 transition-colors"
-                  title="Click to view in document"
-                >
-                  <div className="flex items-start justify-between">
-                    <div className="flex-1 min-w-0">
-                      <div className="flex items-center space-x-2 mb-1">
-                        <span className={`px-2 py-0.5 rounded text-xs font-medium text-gray-800 ${getColorForPage(citation.page)}`}>
-                          Page {citation.page}
-                        </span>
-                        {citation.file_name && citation.file_name !== citation.document_title && (
-                          <span className="text-xs text-gray-500 truncate">
-                            {citation.file_name}
-                          </span>
-                        )}
-                      </div>
-                      <div className="text-xs text-gray-600 line-clamp-2">
-                        {citation.content_preview || citation.quote}
-                      </div>
-                    </div>
-                  </div>
-                </button>
-              ))}
-            </div>
-          </div>
-        )}
+        {/* Conversation thread */}
+        {turns.map((turn) => (
+          <ChatTurn
+            key={turn.id}
+            turn={turn}
+            isActive={turn.id === activeTurnId}
+            onCitationClick={onCitationClick}
+            onVerifyCitations={onVerifyCitations}
+            isVerifying={!!verifyingTurnIds?.has(turn.id)}
+            onExport={onExport}
+            onRetry={onRetry}
+            canRetry={!isLoading && caseStatus === "ready"}
+            loadingLabel="Processing your question..."
+          />
+        ))}
+        <div ref={threadEndRef} />
       </div>
 
       {/* Input area for question and file upload */}
       <div className="p-3 border-t bg-white">        
+        {/* Ingestion of new files, shown apart from the answer's own progress */}
+        {caseStatus === "uploading" && uploadProgress && (
+          <div className="mb-2">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span>
+                Uploading {uploadProgress.fileCount} {uploadProgress.fileCount === 1 ? "file" : "files"}...
+              </span>
+              <span>{Math.round((uploadProgress.loaded / uploadProgress.total) * 100)}%</span>
+            </div>
+            <div className="h-1.5 rounded-full bg-gray-200 overflow-hidden">
+              <div
+                className="h-full bg-blue-500 transition-all"
+                style={{ width: `${(uploadProgress.loaded / uploadProgress.total) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+        {caseStatus === "processing" && (
+          <div className="flex items-center mb-2 text-xs text-gray-600">
+            <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-600 mr-2"></div>
+            Indexing documents{ingestProgress != null ? ` (${Math.round(ingestProgress)}%)` : ""}...
+            Questions can be asked once this finishes.
+          </div>
+        )}
+        {caseStatus === "failed" && (
+          <div className="flex items-center justify-between mb-2 p-2 rounded-lg bg-red-50 border border-red-200 text-xs text-red-700">
+            <span>{ingestError || "The documents could not be processed."}</span>
+            <button
+              onClick={onRetryIngest}
+              className="ml-2 px-2 py-0.5 rounded bg-white border border-red-300 text-red-700 hover:bg-red-100"
+            >
+              Retry
+            </button>
+          </div>
+        )}
+        {/* Question mode */}
+        <div className="flex flex-wrap gap-1 mb-2" role="radiogroup" aria-label="Question type">
+          {QUESTION_MODES.map((mode) => (
+            <button
+              key={mode.id}
+              role="radio"
+              aria-checked={mode.id === questionType}
+              onClick={() => onQuestionTypeChange(mode.id)}
+              disabled={isLoading}
+              className={`px-2.5 py-1 rounded-full text-xs border transition-colors disabled:opacity-50 ${
+                mode.id === questionType
+                  ? "bg-blue-500 border-blue-500 text-white"
+                  : "border-gray-300 text-gray-600 hover:bg-gray-100"
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+        {selectionContext && (
+          <div className="flex items-start mb-2 p-2 rounded-lg bg-blue-50 border border-blue-200 text-xs">
+            <div className="flex-1 min-w-0">
+              <div className="text-blue-700 font-medium">
+                About page {selectionContext.page}
+                {selectionContext.documentName ? ` of ${selectionContext.documentName}` : ""}
+              </div>
+              <div className="text-gray-700 italic line-clamp-3">“{selectionContext.text}”</div>
+            </div>
+            <button
+              onClick={onClearSelectionContext}
+              className="ml-2 p-0.5 rounded hover:bg-blue-100 flex-shrink-0"
+              title="Ask without this selection"
+              aria-label="Remove selected text"
+            >
+              <XMarkIcon className="w-4 h-4 text-gray-500" />
+            </button>
+          </div>
+        )}
         <div className="flex items-center space-x-2">
           <label
             htmlFor="file-upload"
             className="cursor-pointer p-1 rounded hover:bg-gray-200"
-            aria-label="Upload PDF"
-            title="Upload PDF"
+            aria-label="Add PDFs to this case"
+            title="Add PDFs to this case"
           >
             <PaperClipIcon className="w-6 h-6 text-gray-500" />
           </label>
@@ -222,37 +333,55 @@ export default function LeftPanel({
             id="file-upload"
             type="file"
             accept="application/pdf"
+            multiple
             className="hidden"
             onChange={(e) => {
               if (e.target.files.length > 0) {
-                onUpload(e.target.files[0]);
+                onUpload(Array.from(e.target.files));
               }
               e.target.value = null;
             }}
             disabled={isLoading}
           />
           <input
+            ref={questionInputRef}
             type="text"
             value={message}
             onChange={(e) => setMessage(e.target.value)}
             onKeyDown={handleKeyDown}
-            placeholder="Ask a question..."
+            placeholder={
+              caseStatus === "ready"
+                ? getQuestionMode(questionType).placeholder
+                : caseStatus === "idle"
+                  ? "Upload a PDF to start..."
+                  : "Waiting for the documents to be ready..."
+            }
             className="flex-1 p-2 border rounded-lg focus:outline-none focus:ring focus:ring-blue-200 disabled:bg-gray-100"
             aria-label="Type your question"
-            disabled={isLoading}
+            disabled={isLoading || caseStatus !== "ready"}
           />
-          <button
-            onClick={onSend}
-            disabled={!canSendMessage}
-            className={`px-4 py-2 rounded-lg text-white ${
-              canSendMessage
-                ? "bg-blue-500 hover:bg-blue-600"
-                : "bg-blue-300 cursor-not-allowed"
-            }`}
-            aria-disabled={!canSendMessage}
-          >
-            {isLoading ? "..." : "Send"}
-          </button>
+          {isLoading ? (
+            <button
+              onClick={onStop}
+              className="px-4 py-2 rounded-lg text-white bg-red-500 hover:bg-red-600"
+              title="Stop generating the answer"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={onSend}
+              disabled={!canSendMessage}
+              className={`px-4 py-2 rounded-lg text-white ${
+                canSendMessage
+                  ? "bg-blue-500 hover:bg-blue-600"
+                  : "bg-blue-300 cursor-not-allowed"
+              }`}
+              aria-disabled={!canSendMessage}
+            >
+              Send
+            </button>
+          )}
         </div>
       </div>
     </div>
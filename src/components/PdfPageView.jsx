@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { getPdfJs } from "../lib/pdfjs";
+import { getPageText } from "../lib/pdfText";
+
+// Overlay styles for the highlight classes used by the text view
+const overlayClassFor = (className = '') => {
+  if (className.includes('user-annotation')) {
+    return className.replace(/user-annotation/g, 'annotation-overlay');
+  }
+  if (className.includes('search-hit')) {
+    return className.includes('search-hit-active')
+      ? 'search-overlay search-overlay-active'
+      : 'search-overlay';
+  }
+  return className === 'citation-highlight-word'
+    ? 'citation-overlay citation-overlay-word'
+    : 'citation-overlay';
+};
+
+// Renders one PDF page onto a canvas with a selectable PDF.js text layer.
+// `highlights` are character ranges over the page text produced by
+// buildPageText, drawn as overlays at the matching glyph positions.
+export default function PdfPageView({ pdf, pageNumber, scale = 1.5, highlights = [] }) {
+  const [pageData, setPageData] = useState(null);
+  const [rendering, setRendering] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+
+  // Render canvas and text layer whenever the page or zoom changes
+  useEffect(() => {
+    if (!pdf || !pageNumber) return;
+
+    let cancelled = false;
+    let page = null;
+    let renderTask = null;
+    let textLayerTask = null;
+
+    const renderPage = async () => {
+      setRendering(true);
+      setError(null);
+
+      try {
+        page = await pdf.getPage(pageNumber);
+        if (cancelled) return;
+
+        const viewport = page.getViewport({ scale });
+        const outputScale = window.devicePixelRatio || 1;
+        const canvas = canvasRef.current;
+        const context = canvas.getContext('2d');
+
+        // Render at device resolution, display at CSS size
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        renderTask = page.render({
+          canvasContext: context,
+          viewport,
+          transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+        });
+
+        const { textContent, itemOffsets } = await getPageText(pdf, pageNumber, { ocr: true });
+        if (cancelled) return;
+
+        const container = textLayerRef.current;
+        container.replaceChildren();
+        container.style.setProperty('--scale-factor', viewport.scale);
+        const textDivs = [];
+        textLayerTask = getPdfJs().renderTextLayer({
+          textContentSource: textContent,
+          container,
+          viewport,
+          textDivs,
+        });
+
+        await Promise.all([renderTask.promise, textLayerTask.promise]);
+        if (cancelled) return;
+
+        // One span per text item (marked-content entries get none); record
+        // which item each span shows so selections map back to page text
+        const textItemIndices = textContent.items
+          .map((item, index) => (item.str === undefined ? -1 : index))
+          .filter((index) => index >= 0);
+        textDivs.forEach((div, k) => {
+          div.dataset.itemIndex = textItemIndices[k];
+        });
+
+        setPageData({ viewport, items: textContent.items, itemOffsets });
+      } catch (err) {
+        if (cancelled || err?.name === 'RenderingCancelledException') return;
+        console.error("Error rendering page:", err);
+        setError(`Failed to render page ${pageNumber}: ${err.message || 'Unknown error'}`);
+      } finally {
+        if (!cancelled) setRendering(false);
+      }
+    };
+
+    renderPage();
+
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+      if (textLayerTask) textLayerTask.cancel();
+      // Release the page's decoded resources once it is off screen
+      if (page) page.cleanup();
+    };
+  }, [pdf, pageNumber, scale]);
+
+  // Map highlight ranges onto the text items they cover.
+  // Glyph widths are not exposed, so partial items are split proportionally
+  // by character count. Assumes horizontal text.
+  const overlayRects = useMemo(() => {
+    if (!pageData) return [];
+
+    const { viewport, items, itemOffsets } = pageData;
+    const rects = [];
+
+    highlights.forEach((highlight, highlightIndex) => {
+      items.forEach((item, itemIndex) => {
+        const offset = itemOffsets[itemIndex];
+        if (!offset || offset.end <= highlight.start || offset.start >= highlight.end) return;
+
+        const length = item.str.length || 1;
+        const from = Math.max(highlight.start, offset.start) - offset.start;
+        const to = Math.min(highlight.end, offset.end) - offset.start;
+
+        const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+        const fontHeight = Math.hypot(item.transform[2], item.transform[3]) * viewport.scale;
+        const width = (item.width || 0) * viewport.scale;
+
+        rects.push({
+          key: `${highlightIndex}-${itemIndex}`,
+          left: x + (width * from) / length,
+          top: y - fontHeight,
+          width: (width * (to - from)) / length,
+          height: fontHeight,
+          citationIndex: highlight.citationIndex,
+          searchHitIndex: highlight.searchHitIndex,
+          annotationId: highlight.annotationId,
+          className: overlayClassFor(highlight.className),
+        });
+      });
+    });
+
+    return rects;
+  }, [pageData, highlights]);
+
+  return (
+    <div className="flex flex-col items-center">
+      {error && (
+        <div className="mb-4 text-sm text-red-600 bg-red-50 p-3 rounded-lg border border-red-200">
+          {error}
+        </div>
+      )}
+
+      <div className="relative shadow-sm border bg-white">
+        <canvas ref={canvasRef} className="block" />
+
+        {/* Citation and annotation overlays sit under the text layer so selection still works */}
+        <div className="absolute inset-0 pointer-events-none" style={{ zIndex: 1 }}>
+          {overlayRects.map((rect) => (
+            <div
+              key={rect.key}
+              className={rect.className}
+              data-citation-id={rect.citationIndex}
+              data-search-hit={rect.searchHitIndex}
+              data-annotation-id={rect.annotationId}
+              style={{
+                position: 'absolute',
+                left: `${rect.left}px`,
+                top: `${rect.top}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`,
+              }}
+            />
+          ))}
+        </div>
+
+        <div ref={textLayerRef} className="textLayer" data-text-page={pageNumber} data-text-layer="" />
+
+        {rendering && (
+          <div className="absolute inset-0 flex items-center justify-center bg-white/60" style={{ zIndex: 3 }}>
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { PaperClipIcon } from "@heroicons/react/24/outline";
+
+// Shown for a document of a resumed case whose PDF isn't on this device.
+// The chosen file must be the same PDF (checked by hash) to be attached.
+export default function ReattachPrompt({ document, onReattach }) {
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const handleFile = async (file) => {
+    setChecking(true);
+    setError(null);
+    try {
+      setError(await onReattach(document.id, file));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md text-center text-gray-600">
+      <PaperClipIcon className="w-12 h-12 mx-auto mb-4 opacity-50" />
+      <div className="text-lg mb-2 text-gray-700">Re-attach “{document.name}”</div>
+      <div className="text-sm mb-4">
+        This case was resumed, but its PDF is not available on this device. Choose the same file to view it
+        and its citations.
+      </div>
+      <label className={`inline-block px-4 py-2 rounded-lg text-white ${checking ? "bg-blue-300" : "bg-blue-500 hover:bg-blue-600 cursor-pointer"}`}>
+        {checking ? "Checking file..." : "Choose file"}
+        <input
+          type="file"
+          accept="application/pdf"
+          className="hidden"
+          disabled={checking}
+          onChange={(e) => {
+            if (e.target.files.length > 0) handleFile(e.target.files[0]);
+            e.target.value = null;
+          }}
+        />
+      </label>
+      {error && <div className="mt-3 text-sm text-red-600">{error}</div>}
+    </div>
+  );
+}
@@ -1,33 +1,29 @@
-import React, { useState, useEffect, useRef, forwardRef, useImperativeHandle } from "react";
-
-// Load PDF.js from CDN
-let pdfjsLib = null;
-
-// Initialize PDF.js when component mounts
-const initPdfJs = async () => {
-  if (typeof window !== 'undefined' && !pdfjsLib) {
-    // Load PDF.js from CDN
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
-    script.async = true;
-    
-    return new Promise((resolve, reject) => {
-      script.onload = () => {
-        if (window.pdfjsLib) {
-          pdfjsLib = window.pdfjsLib;
-          // Set up PDF.js worker
-          pdfjsLib.GlobalWorkerOptions.workerSrc =
-            "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
-          resolve();
-        } else {
-          reject(new Error('PDF.js failed to load'));
-        }
-      };
-      script.onerror = () => reject(new Error('Failed to load PDF.js script'));
-      document.head.appendChild(script);
-    });
-  }
-};
+import React, { useState, useEffect, useRef, useMemo, forwardRef, useImperativeHandle } from "react";
+
+import PdfPageView from "./PdfPageView";
+import ContinuousViewer from "./ContinuousViewer";
+import HighlightedText from "./HighlightedText";
+import SearchBar from "./SearchBar";
+import DocumentSidebar from "./DocumentSidebar";
+import ReattachPrompt from "./ReattachPrompt";
+import SelectionPopover from "./SelectionPopover";
+import { initPdfJs, getPdfJs, documentOptions } from "../lib/pdfjs";
+import { getPageText } from "../lib/pdfText";
+import { isCancelled } from "../lib/textWorkerClient";
+import { findCitationRangesForPage, citationStartPage } from "../lib/citationMatching";
+import { searchRangesForPage } from "../lib/documentSearch";
+import { citationsForDocument, findDocumentForCitation } from "../lib/caseDocuments";
+import { annotationRangesForPage, createAnnotation } from "../lib/annotations";
+import { resolveSelection } from "../lib/textSelection";
+import { documentKey } from "../lib/pdfStore";
+
+const VIEW_MODE_KEY = "viewer_mode";
+const LAYOUT_KEY = "viewer_layout";
+const SIDEBAR_KEY = "viewer_sidebar_open";
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+const CITATION_POLL_MS = 150;
+const CITATION_POLL_ATTEMPTS = 20;
 
 // Fallback icons if heroicons is not available
 const ChevronLeftIcon = ({ className }) => (
@@ -42,28 +38,86 @@ const ChevronRightIcon = ({ className }) => (
   </svg>
 );
 
+const SidebarIcon = ({ className }) => (
+  <svg className={className} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5h16v14H4zM9 5v14" />
+  </svg>
+);
+
 const DocumentTextIcon = ({ className }) => (
   <svg className={className} fill="none" viewBox="0 0 24 24" stroke="currentColor">
     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
   </svg>
 );
 
-const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata = [], docId }, ref) {
+const RightPanel = forwardRef(function RightPanel({
+  pdfFile,
+  documents = [],
+  activeDocumentId,
+  onSelectDocument,
+  onReattachDocument,
+  citedPagesMetadata: allCitedPagesMetadata = [],
+  annotations: allAnnotations = [],
+  onCreateAnnotation,
+  onUpdateAnnotation,
+  onDeleteAnnotation,
+  onExportAnnotations,
+  onAskAboutSelection,
+}, ref) {
   const [pdf, setPdf] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [pageText, setPageText] = useState('');
-  const [highlightedText, setHighlightedText] = useState('');
+  const [pageTextIsOcr, setPageTextIsOcr] = useState(false);
+  const [highlightRanges, setHighlightRanges] = useState([]);
   const [pdfJsReady, setPdfJsReady] = useState(false);
+  // 'text' shows the reflowed extracted text, 'page' the rendered PDF page
+  const [viewMode, setViewMode] = useState(() => localStorage.getItem(VIEW_MODE_KEY) || 'text');
+  const [scale, setScale] = useState(1.5);
+  // 'single' shows one page at a time, 'continuous' stacks every page
+  const [layout, setLayout] = useState(() => localStorage.getItem(LAYOUT_KEY) || 'single');
+  const [sidebarOpen, setSidebarOpen] = useState(() => localStorage.getItem(SIDEBAR_KEY) !== 'false');
+  const [pageInput, setPageInput] = useState('1');
+  const [searchHits, setSearchHits] = useState([]);
+  const [activeHitIndex, setActiveHitIndex] = useState(null);
+  // Text the user has just selected, waiting to become an annotation
+  const [pendingSelection, setPendingSelection] = useState(null);
 
   const containerRef = useRef();
   const textContainerRef = useRef();
   const pdfRef = useRef(null);
+  // The load in progress ({ task } once PDF.js has it), so a load that
+  // finishes after the user has switched documents can be told apart
+  const loadRef = useRef(null);
+  const continuousRef = useRef(null);
+  const requestedPageRef = useRef(null);
+  // Citation to show once the document it belongs to has loaded
+  const pendingCitationRef = useRef(null);
+  const citationPollRef = useRef(null);
+  // Only this document's citations are highlighted; the rest become null
+  // so indices still match the full list
+  const citedPagesMetadata = useMemo(
+    () => citationsForDocument(allCitedPagesMetadata, documents, activeDocumentId),
+    [allCitedPagesMetadata, documents, activeDocumentId]
+  );
+  const activeDocument = documents.find((doc) => doc.id === activeDocumentId) || null;
+  const activeDocumentKey = activeDocument ? documentKey(activeDocument) : null;
+  const annotations = useMemo(
+    () => allAnnotations.filter((annotation) => annotation.documentKey === activeDocumentKey),
+    [allAnnotations, activeDocumentKey]
+  );
+  // Latest citations, read by scrollToCitation after the active turn changes
+  const citationsRef = useRef(citedPagesMetadata);
+  citationsRef.current = citedPagesMetadata;
 
   // Cleanup function
   const cleanup = () => {
+    if (loadRef.current) {
+      loadRef.current.task?.destroy();
+      loadRef.current = null;
+    }
     if (pdfRef.current) {
       try {
         pdfRef.current.destroy();
@@ -74,14 +128,19 @@ const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata
     }
   };
 
-  // Initialize PDF.js on component mount
-  useEffect(() => {
+  // Initialize PDF.js on component mount (and again from Retry if it failed)
+  const startPdfJs = () => {
+    setError(null);
     initPdfJs().then(() => {
       setPdfJsReady(true);
     }).catch(err => {
       console.error('Failed to initialize PDF.js:', err);
-      setError('Failed to load PDF.js library');
+      setError(`The PDF viewer could not start: ${err.message || 'Unknown error'}`);
     });
+  };
+
+  useEffect(() => {
+    startPdfJs();
   }, []);
 
   // Load PDF when file changes
@@ -96,10 +155,24 @@ const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata
       setError(null);
       setPageText('');
     }
+    setSearchHits([]);
+    setActiveHitIndex(null);
+    setPendingSelection(null);
 
     return cleanup; // Cleanup on unmount
   }, [pdfFile, pdfJsReady]);
 
+  useEffect(() => () => clearInterval(citationPollRef.current), []);
+
+  // Finish a citation jump that had to switch documents first
+  useEffect(() => {
+    if (pdf && pendingCitationRef.current) {
+      const citation = pendingCitationRef.current;
+      pendingCitationRef.current = null;
+      scrollToCitation(citation);
+    }
+  }, [pdf]);
+
   // Extract text when PDF or page changes
   useEffect(() => {
     if (pdf && currentPage) {
@@ -107,14 +180,35 @@ const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata
     }
   }, [pdf, currentPage]);
 
-  // Apply highlights when citations or page text changes
+  // Apply highlights when citations or page text changes. Matching for a
+  // page the user has moved away from is cancelled.
   useEffect(() => {
-    if (pageText) {
-      applyHighlights();
-    }
-  }, [citedPagesMetadata, currentPage, pageText]);
+    if (!pageText) return;
+    const controller = new AbortController();
+    applyHighlights(controller.signal);
+    return () => controller.abort();
+  }, [citedPagesMetadata, currentPage, pageText, searchHits, activeHitIndex, annotations]);
+
+  // Remember the preferred view mode
+  useEffect(() => {
+    localStorage.setItem(VIEW_MODE_KEY, viewMode);
+  }, [viewMode]);
+
+  useEffect(() => {
+    localStorage.setItem(LAYOUT_KEY, layout);
+  }, [layout]);
+
+  useEffect(() => {
+    localStorage.setItem(SIDEBAR_KEY, String(sidebarOpen));
+  }, [sidebarOpen]);
+
+  // Keep the page number field in step with navigation
+  useEffect(() => {
+    setPageInput(String(currentPage));
+  }, [currentPage]);
 
   const loadPDF = async (file) => {
+    const pdfjsLib = getPdfJs();
     if (!pdfjsLib) {
       setError('PDF.js library not loaded');
       return;
@@ -123,27 +217,33 @@ const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata
     setLoading(true);
     setError(null);
     
+    // Cleanup previous PDF
+    cleanup();
+    const load = {};
+    loadRef.current = load;
+    // Another document was opened, or the panel closed, in the meantime
+    const isStale = () => loadRef.current !== load;
+
     try {
-      // Cleanup previous PDF
-      cleanup();
-      
       const arrayBuffer = await file.arrayBuffer();
-      const loadingTask = pdfjsLib.getDocument({ 
-        data: new Uint8Array(arrayBuffer),
-        cMapUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/cmaps/',
-        cMapPacked: true,
-      });
+      if (isStale()) return;
+      load.task = pdfjsLib.getDocument(documentOptions(new Uint8Array(arrayBuffer)));
       
-      const pdfDoc = await loadingTask.promise;
+      const pdfDoc = await load.task.promise;
+      if (isStale()) return;
+      loadRef.current = null;
       pdfRef.current = pdfDoc;
       setPdf(pdfDoc);
       setTotalPages(pdfDoc.numPages);
       setCurrentPage(1);
     } catch (err) {
+      if (isStale()) return;
+      loadRef.current = null;
       console.error("Error loading PDF:", err);
       setError(`Failed to load PDF file: ${err.message || 'Unknown error'}`);
     } finally {
-      setLoading(false);
+      // A newer load keeps the spinner going
+      if (!loadRef.current) setLoading(false);
     }
   };
 
@@ -151,49 +251,14 @@ const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata
     if (!pdf) return;
 
     setLoading(true);
+    requestedPageRef.current = pageNum;
     try {
-      const page = await pdf.getPage(pageNum);
-      const textContent = await page.getTextContent();
-      
-      if (!textContent.items || textContent.items.length === 0) {
-        setPageText('');
-        setLoading(false);
-        return;
-      }
-      
-      // Extract text with proper spacing
-      let extractedText = '';
-      let lastY = null;
-      
-      textContent.items.forEach((item, index) => {
-        if (!item.str) return;
-        
-        const currentY = item.transform ? item.transform[5] : 0;
-        
-        // Add line breaks for significant vertical position changes
-        if (lastY !== null && Math.abs(lastY - currentY) > 5) {
-          extractedText += '\n';
-        }
-        
-        // Add the text
-        extractedText += item.str;
-        
-        // Add space if next item is far horizontally or this item doesn't end with space
-        const nextItem = textContent.items[index + 1];
-        if (nextItem && nextItem.transform) {
-          const currentX = (item.transform ? item.transform[4] : 0) + (item.width || 0);
-          const nextX = nextItem.transform[4];
-          const sameY = Math.abs(currentY - nextItem.transform[5]) < 2;
-          
-          if (sameY && nextX - currentX > 5 && !item.str.endsWith(' ')) {
-            extractedText += ' ';
-          }
-        }
-        
-        lastY = currentY;
-      });
+      const { text, ocr } = await getPageText(pdf, pageNum, { ocr: true });
 
-      setPageText(extractedText.trim());
+      // Ignore results for a page the user has already moved away from
+      if (requestedPageRef.current !== pageNum) return;
+      setPageText(text);
+      setPageTextIsOcr(ocr);
       
     } catch (err) {
       console.error("Error extracting text:", err);
@@ -204,286 +269,74 @@ const RightPanel = forwardRef(function RightPanel({ pdfFile, citedPagesMetadata
     }
   };
 
-  // const escapeRegExp = (string) => {
-  //   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  // };
-// Replace your applyHighlights function with this robust version
-const applyHighlights = () => {
-  
-  if (!pageText) {
-    setHighlightedText('');
-    return;
-  }
-
-  const currentPageCitations = Array.isArray(citedPagesMetadata) 
-    ? citedPagesMetadata.filter(citation => citation && citation.page === currentPage)
-    : [];
-  
-  if (currentPageCitations.length === 0) {
-    setHighlightedText(pageText);
-    return;
-  }
-
-  let highlightedContent = pageText;
-  
-  currentPageCitations.forEach((citation, index) => {
-    const searchText = citation.quote || citation.content_preview;
-    if (!searchText || searchText.length < 10) return; // Increased minimum length
-
+  // Recompute citation and search highlights for the current page. Citation
+  // quotes are matched in the text worker.
+  const applyHighlights = async (signal) => {
     try {
-      console.log('=== Processing Citation ===');
-      console.log('Original citation:', searchText.substring(0, 100) + '...');
-
-      // Advanced text normalization
-      const advancedNormalize = (text) => {
-        return text
-          // Normalize whitespace
-          .replace(/\s+/g, ' ')
-          .replace(/\n+/g, ' ')
-          .replace(/\r+/g, ' ')
-          .replace(/\t+/g, ' ')
-          
-          // Normalize quotes and dashes
-          .replace(/[''`]/g, "'")
-          .replace(/[""]/g, '"')
-          .replace(/[–—−]/g, '-')
-          
-          // Normalize hyphens and punctuation spacing
-          .replace(/\s*-\s*/g, '- ')
-          .replace(/\s*—\s*/g, '- ')
-          
-          // Remove extra spaces around punctuation
-          .replace(/\s*([,.;:!?])\s*/g, '$1 ')
-          .replace(/\s*([()[\]{}])\s*/g, ' $1 ')
-          
-          // Normalize common PDF extraction issues
-          .replace(/(\w)-\s+(\w)/g, '$1$2') // Remove hyphenated line breaks
-          .replace(/([a-z])([A-Z])/g, '$1 $2') // Add space between camelCase
-          
-          .trim()
-          .replace(/\s+/g, ' '); // Final whitespace cleanup
-      };
-
-      const normalizedCitation = advancedNormalize(searchText);
-      const normalizedPageText = advancedNormalize(pageText);
-      
-      console.log('Normalized citation:', normalizedCitation.substring(0, 100) + '...');
-
-      // Method 1: Try exact match with normalized text
-      let matches = [];
-      
-      // Create a mapping between normalized and original text positions
-      const createPositionMap = (original, normalized) => {
-        const map = [];
-        let origIndex = 0;
-        let normIndex = 0;
-        
-        while (origIndex < original.length && normIndex < normalized.length) {
-          if (original[origIndex].toLowerCase() === normalized[normIndex].toLowerCase()) {
-            map[normIndex] = origIndex;
-            origIndex++;
-            normIndex++;
-          } else {
-            // Skip whitespace or special chars in original
-            origIndex++;
-          }
-        }
-        return map;
-      };
-
-      const positionMap = createPositionMap(pageText, normalizedPageText);
-      
-      // Try exact normalized match
-      const escapedNormalized = escapeRegExp(normalizedCitation);
-      const normalizedRegex = new RegExp(escapedNormalized, 'gi');
-      const normalizedMatches = [...normalizedPageText.matchAll(normalizedRegex)];
-      
-      if (normalizedMatches.length > 0) {
-        console.log('✅ Found exact normalized match');
-        
-        // Map back to original positions
-        matches = normalizedMatches.map(match => {
-          const normStart = match.index;
-          const normEnd = normStart + match[0].length;
-          
-          // Find original positions
-          const origStart = positionMap[normStart] || 0;
-          let origEnd = origStart;
-          
-          // Find the end position in original text
-          for (let i = normStart; i < normEnd && i < positionMap.length; i++) {
-            if (positionMap[i] !== undefined) {
-              origEnd = positionMap[i] + 1;
-            }
-          }
-          
-          return {
-            index: origStart,
-            0: pageText.substring(origStart, origEnd),
-            length: origEnd - origStart
-          };
-        });
-      }
-
-      // Method 2: Fuzzy matching with word sequence
-      if (matches.length === 0) {
-        console.log('Trying fuzzy word sequence matching...');
-        
-        const citationWords = normalizedCitation.split(/\s+/).filter(w => w.length > 2);
-        const pageWords = normalizedPageText.split(/\s+/);
-        
-        // Find word sequences that match with some tolerance
-        for (let i = 0; i <= pageWords.length - citationWords.length; i++) {
-          const pageSequence = pageWords.slice(i, i + citationWords.length);
-          
-          // Check if sequences match with some word flexibility
-          let matchScore = 0;
-          for (let j = 0; j < citationWords.length; j++) {
-            if (pageSequence[j] && citationWords[j]) {
-              const citationWord = citationWords[j].toLowerCase().replace(/[^\w]/g, '');
-              const pageWord = pageSequence[j].toLowerCase().replace(/[^\w]/g, '');
-              
-              if (citationWord === pageWord) {
-                matchScore++;
-              } else if (pageWord.includes(citationWord) || citationWord.includes(pageWord)) {
-                matchScore += 0.7; // Partial match
-              }
-            }
-          }
-          
-          // If we have a good match (80% or better)
-          if (matchScore / citationWords.length >= 0.8) {
-            console.log(`✅ Found fuzzy sequence match with score: ${matchScore / citationWords.length}`);
-            
-            // Find this sequence in the original text
-            const sequenceStart = pageWords.slice(0, i).join(' ').length;
-            const sequenceEnd = sequenceStart + pageSequence.join(' ').length;
-            
-            // Adjust for original text positions
-            const beforeText = normalizedPageText.substring(0, sequenceStart).trim();
-            const matchText = normalizedPageText.substring(sequenceStart, sequenceEnd).trim();
-            
-            // Find approximate position in original text
-            const originalStart = pageText.toLowerCase().indexOf(beforeText.toLowerCase()) + beforeText.length;
-            const searchArea = pageText.substring(Math.max(0, originalStart - 50), originalStart + matchText.length + 100);
-            
-            // Look for the best match in this area
-            const flexibleRegex = new RegExp(
-              citationWords.slice(0, Math.min(5, citationWords.length))
-                .map(word => escapeRegExp(word.replace(/[^\w]/g, '')))
-                .join('\\W+\\w*\\W*'), 
-              'gi'
-            );
-            
-            const areaMatch = searchArea.match(flexibleRegex);
-            if (areaMatch) {
-              const areaStart = searchArea.indexOf(areaMatch[0]);
-              const finalStart = Math.max(0, originalStart - 50) + areaStart;
-              const finalEnd = Math.min(pageText.length, finalStart + areaMatch[0].length);
-              
-              matches = [{
-                index: finalStart,
-                0: pageText.substring(finalStart, finalEnd),
-                length: finalEnd - finalStart
-              }];
-            }
-            break;
-          }
-        }
-      }
-
-      // Method 3: Sentence-based matching (for longer citations)
-      if (matches.length === 0 && normalizedCitation.length > 100) {
-        console.log('Trying sentence-based matching...');
-        
-        const citationSentences = normalizedCitation.split(/[.!?]+/).filter(s => s.trim().length > 20);
-        
-        for (const sentence of citationSentences.slice(0, 2)) { // Try first 2 sentences
-          const sentenceWords = sentence.trim().split(/\s+/).filter(w => w.length > 3).slice(0, 8);
-          if (sentenceWords.length > 4) {
-            const sentencePattern = sentenceWords
-              .map(word => escapeRegExp(word.replace(/[^\w]/g, '')))
-              .join('\\W+\\w*\\W*');
-            
-            const sentenceRegex = new RegExp(sentencePattern, 'gi');
-            const sentenceMatches = [...pageText.matchAll(sentenceRegex)];
-            
-            if (sentenceMatches.length > 0) {
-              console.log('✅ Found sentence-based match');
-              matches = sentenceMatches.map(match => ({
-                index: match.index,
-                0: match[0],
-                length: match[0].length
-              }));
-              break;
-            }
-          }
-        }
-      }
+      const citationRanges = await findCitationRangesForPage(pdf, currentPage, pageText, citedPagesMetadata, { signal });
+      setHighlightRanges([
+        ...citationRanges,
+        ...searchRangesForPage(searchHits, currentPage, activeHitIndex),
+        ...annotationRangesForPage(pageText, currentPage, annotations),
+      ]);
+    } catch (err) {
+      if (!isCancelled(err)) console.error("Error matching citations:", err);
+    }
+  };
 
-      // Apply highlighting if we found matches
-      if (matches.length > 0) {
-        console.log(`Applying ${matches.length} highlights`);
-        
-        matches.reverse().forEach((match, matchIndex) => {
-          const start = match.index;
-          const end = start + match[0].length;
-          const originalText = match[0];
-          const highlightId = `highlight-${index}-${matchIndex}`;
-          
-          highlightedContent = 
-            highlightedContent.slice(0, start) +
-            `<mark class="citation-highlight" data-citation-id="${index}" id="${highlightId}">${originalText}</mark>` +
-            highlightedContent.slice(end);
-        });
-      } else {
-        console.log('❌ All methods failed, falling back to word highlighting');
-        
-        // Enhanced word-by-word as final fallback
-        const words = normalizedCitation.split(/\s+/)
-          .filter(word => word.length > 3)
-          .slice(0, 15); // Limit to first 15 words to avoid over-highlighting
-        
-        words.forEach(word => {
-          const cleanWord = word.replace(/[^\w]/g, '');
-          if (cleanWord.length > 3) {
-            const wordRegex = new RegExp(`\\b(${escapeRegExp(cleanWord)})\\b`, 'gi');
-            highlightedContent = highlightedContent.replace(wordRegex, 
-              `<mark class="citation-highlight-word" data-citation-id="${index}">$1</mark>`
-            );
-          }
-        });
-      }
+  // Offer to annotate or ask about text selected within one page of either view
+  const handleTextMouseUp = async () => {
+    const selection = window.getSelection();
+    if (!onCreateAnnotation || !selection || selection.rangeCount === 0 || selection.isCollapsed) return;
 
-    } catch (error) {
-      console.error('Error in highlighting:', error);
-      console.log('Falling back to basic word highlighting');
-      
-      // Safe fallback
-      const words = searchText.split(/\s+/).filter(w => w.length > 3).slice(0, 10);
-      words.forEach(word => {
-        const cleanWord = word.replace(/[^\w]/g, '');
-        if (cleanWord.length > 3) {
-          try {
-            const wordRegex = new RegExp(`\\b(${escapeRegExp(cleanWord)})\\b`, 'gi');
-            highlightedContent = highlightedContent.replace(wordRegex, 
-              `<mark class="citation-highlight-word" data-citation-id="${index}">$1</mark>`
-            );
-          } catch (regexError) {
-            console.warn('Word regex failed:', regexError);
-          }
-        }
+    const range = selection.getRangeAt(0);
+    const rect = range.getBoundingClientRect();
+    try {
+      const resolved = await resolveSelection(pdf, range);
+      if (!resolved) return;
+      setPendingSelection({
+        ...resolved,
+        position: {
+          top: Math.min(rect.bottom + 8, window.innerHeight - 200),
+          left: Math.max(8, Math.min(rect.left, window.innerWidth - 272)),
+        },
       });
+    } catch (err) {
+      console.warn("Could not resolve the selection:", err);
     }
-  });
+  };
 
-  setHighlightedText(highlightedContent);
-};
+  const handleSaveAnnotation = ({ color, note }) => {
+    const { page, start, end, pageText: selectedPageText } = pendingSelection;
+    onCreateAnnotation(createAnnotation({
+      documentKey: activeDocumentKey,
+      documentName: activeDocument?.name || null,
+      page,
+      pageText: selectedPageText,
+      start,
+      end,
+      color,
+      note,
+    }));
+    setPendingSelection(null);
+    window.getSelection()?.removeAllRanges();
+  };
+
+  // Hand the selected text to the question box, with where it came from
+  const handleAskSelection = (actionId) => {
+    const { page, start, end, text } = pendingSelection;
+    onAskAboutSelection({
+      text,
+      page,
+      start,
+      end,
+      documentName: activeDocument?.name || null,
+      sourceId: activeDocument?.sourceId || null,
+    }, actionId);
+    setPendingSelection(null);
+    window.getSelection()?.removeAllRanges();
+  };
 
-// Helper function to escape regex special characters (keep your existing one)
-const escapeRegExp = (string) => {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-};
   const copySelectedText = async () => {
     try {
       const selection = window.getSelection();
@@ -604,62 +457,192 @@ const escapeRegExp = (string) => {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [pageText, currentPage, totalPages]);
+  }, [pageText, currentPage, totalPages, layout]);
 
-  const scrollToCitation = (citation) => {
+  // Jump to where a citation's quote starts, which may be the page before the
+  // cited one when the quote runs over a page break
+  const scrollToCitation = async (citation) => {
     if (!citation) return;
-    
-    if (citation.page !== currentPage) {
-      setCurrentPage(citation.page);
+
+    const targetDocument = findDocumentForCitation(documents, citation);
+    if (targetDocument && targetDocument.id !== activeDocumentId) {
+      pendingCitationRef.current = citation;
+      onSelectDocument?.(targetDocument.id);
+      return;
     }
-    
-    setTimeout(() => {
-      const citationIndex = Array.isArray(citedPagesMetadata) 
-        ? citedPagesMetadata.indexOf(citation) 
-        : -1;
-        
+
+    const startPage = await citationStartPage(pdfRef.current, citation);
+    // Read after the wait, so the citations of a newly selected turn have
+    // reached this panel
+    const citationIndex = Array.isArray(citationsRef.current)
+      ? citationsRef.current.indexOf(citation)
+      : -1;
+    const selector = `[data-citation-id="${citationIndex}"]`;
+
+    if (layout === 'continuous') {
+      if (!continuousRef.current) return;
       if (citationIndex >= 0) {
-        const highlightElements = document.querySelectorAll(`[data-citation-id="${citationIndex}"]`);
-        if (highlightElements.length > 0) {
-          highlightElements[0].scrollIntoView({ 
-            behavior: "smooth", 
-            block: "center" 
-          });
-        }
+        continuousRef.current.scrollToMark(startPage, selector);
+      } else {
+        continuousRef.current.scrollToPage(startPage);
       }
-    }, 300);
+      return;
+    }
+    
+    if (startPage !== currentPage) {
+      setCurrentPage(startPage);
+    }
+    if (citationIndex < 0) return;
+
+    // Highlights appear once the page's text is extracted and matched
+    clearInterval(citationPollRef.current);
+    let attempts = 0;
+    citationPollRef.current = setInterval(() => {
+      attempts++;
+      const highlightElement = document.querySelector(selector);
+      if (highlightElement) {
+        highlightElement.scrollIntoView({ 
+          behavior: "smooth", 
+          block: "center" 
+        });
+      }
+      if (highlightElement || attempts >= CITATION_POLL_ATTEMPTS) {
+        clearInterval(citationPollRef.current);
+      }
+    }, CITATION_POLL_MS);
+  };
+
+  // In continuous mode the scroll position drives currentPage
+  const navigateToPage = (pageNum) => {
+    if (pageNum < 1 || pageNum > totalPages) return;
+
+    if (layout === 'continuous' && continuousRef.current) {
+      continuousRef.current.scrollToPage(pageNum);
+    }
+    setCurrentPage(pageNum);
   };
 
   useImperativeHandle(ref, () => ({
     scrollToCitation,
     copySelectedText,
     copyAllText,
-    goToPage: (pageNum) => {
-      if (pageNum >= 1 && pageNum <= totalPages) {
-        setCurrentPage(pageNum);
+    goToPage: navigateToPage,
+  }));
+
+  // Jump to a search hit and bring its highlight into view
+  const handleSelectHit = (hit) => {
+    if (!hit) return;
+
+    setActiveHitIndex(hit.index);
+    const selector = `[data-search-hit="${hit.index}"]`;
+
+    if (layout === 'continuous' && continuousRef.current) {
+      setCurrentPage(hit.page);
+      continuousRef.current.scrollToMark(hit.page, selector);
+      return;
+    }
+
+    navigateToPage(hit.page);
+    setTimeout(() => {
+      const mark = document.querySelector(selector);
+      if (mark) {
+        mark.scrollIntoView({ behavior: "smooth", block: "center" });
       }
+    }, 300);
+  };
+
+  // Jump to one of the user's annotations
+  const handleSelectAnnotation = (annotation) => {
+    const selector = `[data-annotation-id="${annotation.id}"]`;
+
+    if (layout === 'continuous' && continuousRef.current) {
+      setCurrentPage(annotation.page);
+      continuousRef.current.scrollToMark(annotation.page, selector);
+      return;
     }
-  }));
+
+    navigateToPage(annotation.page);
+    setTimeout(() => {
+      const mark = document.querySelector(selector);
+      if (mark) {
+        mark.scrollIntoView({ behavior: "smooth", block: "center" });
+      }
+    }, 300);
+  };
+
+  const handleGoToPage = (e) => {
+    e.preventDefault();
+    const pageNum = parseInt(pageInput, 10);
+    if (Number.isNaN(pageNum)) {
+      setPageInput(String(currentPage));
+      return;
+    }
+    const clamped = Math.min(Math.max(pageNum, 1), totalPages);
+    setPageInput(String(clamped));
+    navigateToPage(clamped);
+  };
 
   const handlePrevPage = () => {
     if (currentPage > 1) {
-      setCurrentPage(currentPage - 1);
+      navigateToPage(currentPage - 1);
     }
   };
 
   const handleNextPage = () => {
     if (currentPage < totalPages) {
-      setCurrentPage(currentPage + 1);
+      navigateToPage(currentPage + 1);
     }
   };
 
+  // Document switcher for cases with several PDFs
+  const documentTabs = documents.length > 1 && (
+    <div className="flex items-end gap-1 px-4 pt-2 bg-gray-100 border-b overflow-x-auto">
+      {documents.map((doc) => {
+        const citationCount = allCitedPagesMetadata.filter(
+          (citation) => findDocumentForCitation(documents, citation)?.id === doc.id
+        ).length;
+        return (
+          <button
+            key={doc.id}
+            onClick={() => onSelectDocument?.(doc.id)}
+            className={`flex items-center max-w-[220px] px-3 py-1.5 rounded-t-lg border border-b-0 text-sm transition-colors ${
+              doc.id === activeDocumentId
+                ? 'bg-white text-blue-700 font-medium'
+                : 'bg-gray-50 text-gray-600 hover:bg-white'
+            }`}
+            title={
+              !doc.file
+                ? `${doc.name} (needs to be re-attached)`
+                : doc.uploaded ? doc.name : `${doc.name} (being indexed)`
+            }
+          >
+            <span className={`truncate ${doc.file ? '' : 'italic opacity-60'}`}>{doc.name}</span>
+            {!doc.uploaded && <span className="ml-1 w-1.5 h-1.5 rounded-full bg-amber-400 flex-shrink-0" />}
+            {citationCount > 0 && (
+              <span className="ml-2 px-1.5 rounded-full bg-yellow-200 text-[10px] font-semibold text-gray-800">
+                {citationCount}
+              </span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+
   if (!pdfFile) {
     return (
-      <div className="w-[65%] flex items-center justify-center bg-gray-50">
-        <div className="text-center text-gray-500">
-          <DocumentTextIcon className="w-16 h-16 mx-auto mb-4 opacity-50" />
-          <div className="text-lg mb-2">No PDF loaded</div>
-          <div className="text-sm">Upload a PDF file to extract and view text</div>
+      <div className="w-[65%] flex flex-col bg-gray-50">
+        {documentTabs}
+        <div className="flex-1 flex items-center justify-center p-6">
+          {activeDocument && onReattachDocument ? (
+            <ReattachPrompt document={activeDocument} onReattach={onReattachDocument} />
+          ) : (
+            <div className="text-center text-gray-500">
+              <DocumentTextIcon className="w-16 h-16 mx-auto mb-4 opacity-50" />
+              <div className="text-lg mb-2">No PDF loaded</div>
+              <div className="text-sm">Upload a PDF file to extract and view text</div>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -667,25 +650,55 @@ const escapeRegExp = (string) => {
 
   return (
     <div className="w-[65%] flex flex-col bg-gray-50">
+      {documentTabs}
+
       {/* Toolbar */}
-      <div className="bg-white border-b p-4 flex items-center justify-between shadow-sm">
+      <div className="bg-white border-b p-4 flex flex-wrap items-center justify-between gap-3 shadow-sm">
         <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setSidebarOpen(!sidebarOpen)}
+            className={`p-2 rounded-lg transition-colors ${
+              sidebarOpen ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-100 text-gray-700'
+            }`}
+            title={sidebarOpen ? 'Hide thumbnails and bookmarks' : 'Show thumbnails and bookmarks'}
+          >
+            <SidebarIcon className="w-5 h-5" />
+          </button>
+
           <button
             onClick={handlePrevPage}
-            disabled={currentPage <= 1 || loading}
+            disabled={currentPage <= 1 || (loading && layout === 'single')}
             className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             title="Previous page (Alt + ←)"
           >
             <ChevronLeftIcon className="w-5 h-5" />
           </button>
           
-          <span className="text-sm text-gray-600 min-w-[120px] text-center font-medium">
-            {loading ? "Loading..." : `Page ${currentPage} of ${totalPages}`}
-          </span>
+          {loading && layout === 'single' ? (
+            <span className="text-sm text-gray-600 min-w-[120px] text-center font-medium">Loading...</span>
+          ) : (
+            <form
+              onSubmit={handleGoToPage}
+              className="flex items-center justify-center space-x-1 text-sm text-gray-600 min-w-[120px] font-medium"
+            >
+              <span>Page</span>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={pageInput}
+                onChange={(e) => setPageInput(e.target.value.replace(/[^0-9]/g, ''))}
+                onBlur={() => setPageInput(String(currentPage))}
+                className="w-12 px-1 py-0.5 border rounded text-center focus:outline-none focus:ring focus:ring-blue-200"
+                aria-label="Go to page"
+                title="Type a page number and press Enter"
+              />
+              <span>of {totalPages}</span>
+            </form>
+          )}
           
           <button
             onClick={handleNextPage}
-            disabled={currentPage >= totalPages || loading}
+            disabled={currentPage >= totalPages || (loading && layout === 'single')}
             className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             title="Next page (Alt + →)"
           >
@@ -693,6 +706,76 @@ const escapeRegExp = (string) => {
           </button>
         </div>
 
+        <SearchBar
+          key={pdf?.fingerprints?.[0] || 'no-document'}
+          pdf={pdf}
+          hits={searchHits}
+          activeHitIndex={activeHitIndex}
+          onHitsChange={(hits) => {
+            setSearchHits(hits);
+            setActiveHitIndex(null);
+          }}
+          onSelectHit={handleSelectHit}
+        />
+
+        <div className="flex items-center space-x-2">
+          {/* View mode toggle */}
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+            <button
+              onClick={() => setViewMode('text')}
+              className={`px-3 py-2 transition-colors ${
+                viewMode === 'text' ? 'bg-blue-500 text-white' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+              title="Show reflowed extracted text"
+            >
+              Text
+            </button>
+            <button
+              onClick={() => setViewMode('page')}
+              className={`px-3 py-2 transition-colors ${
+                viewMode === 'page' ? 'bg-blue-500 text-white' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+              title="Show the original page layout"
+            >
+              Page
+            </button>
+          </div>
+
+          <button
+            onClick={() => setLayout(layout === 'single' ? 'continuous' : 'single')}
+            className={`px-3 py-2 rounded-lg border text-sm transition-colors ${
+              layout === 'continuous'
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
+            title="Toggle continuous scrolling through all pages"
+          >
+            Continuous
+          </button>
+
+          {viewMode === 'page' && (
+            <div className="flex items-center text-sm text-gray-700">
+              <button
+                onClick={() => setScale((s) => Math.max(MIN_SCALE, +(s - 0.25).toFixed(2)))}
+                disabled={scale <= MIN_SCALE}
+                className="px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                title="Zoom out"
+              >
+                −
+              </button>
+              <span className="w-12 text-center">{Math.round(scale * 100)}%</span>
+              <button
+                onClick={() => setScale((s) => Math.min(MAX_SCALE, +(s + 0.25).toFixed(2)))}
+                disabled={scale >= MAX_SCALE}
+                className="px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                title="Zoom in"
+              >
+                +
+              </button>
+            </div>
+          )}
+        </div>
+
         <div className="flex items-center space-x-3">
           <button
             onClick={copySelectedText}
@@ -714,60 +797,121 @@ const escapeRegExp = (string) => {
         </div>
       </div>
 
-      {/* Text Content */}
-      <div className="flex-1 overflow-auto">
-        {!pdfJsReady ? (
-          <div className="flex items-center justify-center h-full text-blue-500 p-6">
-            <div className="text-center">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
-              <div className="text-lg">Loading PDF.js library...</div>
-            </div>
-          </div>
-        ) : error ? (
-          <div className="flex items-center justify-center h-full text-red-500 p-6">
-            <div className="text-center max-w-md">
-              <div className="text-lg mb-2">Error loading PDF</div>
-              <div className="text-sm bg-red-50 p-3 rounded-lg border border-red-200">
-                {error}
-              </div>
-              <button 
-                onClick={() => pdfFile && loadPDF(pdfFile)}
-                className="mt-4 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
-              >
-                Retry
-              </button>
-            </div>
-          </div>
+      <div className="flex-1 flex min-h-0" onMouseUp={handleTextMouseUp}>
+        {sidebarOpen && pdf && pdfJsReady && !error && (
+          <DocumentSidebar
+            pdf={pdf}
+            totalPages={totalPages}
+            currentPage={currentPage}
+            citedPagesMetadata={citedPagesMetadata}
+            onNavigate={navigateToPage}
+            annotations={annotations}
+            onSelectAnnotation={handleSelectAnnotation}
+            onUpdateAnnotation={onUpdateAnnotation}
+            onDeleteAnnotation={onDeleteAnnotation}
+            onExportAnnotations={onExportAnnotations}
+          />
+        )}
+
+        {/* Text Content */}
+        {layout === 'continuous' && pdfJsReady && !error && pdf ? (
+          <ContinuousViewer
+            ref={continuousRef}
+            pdf={pdf}
+            totalPages={totalPages}
+            currentPage={currentPage}
+            onPageChange={setCurrentPage}
+            viewMode={viewMode}
+            scale={scale}
+            citedPagesMetadata={citedPagesMetadata}
+            searchHits={searchHits}
+            activeHitIndex={activeHitIndex}
+            annotations={annotations}
+          />
         ) : (
-          <div className="min-h-full p-6">
-            <div ref={containerRef} className="max-w-4xl mx-auto">
-              <div className="bg-white rounded-lg shadow-sm border p-8 min-h-[600px]">
-                {loading ? (
-                  <div className="flex items-center justify-center h-64">
-                    <div className="flex items-center space-x-3">
-                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-                      <span className="text-lg text-gray-700">Extracting text...</span>
-                    </div>
+          <div className="flex-1 overflow-auto">
+            {!pdfJsReady && !error ? (
+              <div className="flex items-center justify-center h-full text-blue-500 p-6">
+                <div className="text-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
+                  <div className="text-lg">Loading PDF.js library...</div>
+                </div>
+              </div>
+            ) : error ? (
+              <div className="flex items-center justify-center h-full text-red-500 p-6">
+                <div className="text-center max-w-md">
+                  <div className="text-lg mb-2">Error loading PDF</div>
+                  <div className="text-sm bg-red-50 p-3 rounded-lg border border-red-200">
+                    {error}
                   </div>
-                ) : pageText ? (
-                  <div 
-                    ref={textContainerRef}
-                    className="prose prose-gray max-w-none text-content"
-                    style={{ lineHeight: '1.6', fontSize: '16px' }}
-                    dangerouslySetInnerHTML={{ __html: highlightedText.replace(/\n/g, '<br>') }}
+                  <button 
+                    onClick={() => (pdfJsReady ? pdfFile && loadPDF(pdfFile) : startPdfJs())}
+                    className="mt-4 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                  >
+                    Retry
+                  </button>
+                </div>
+              </div>
+            ) : viewMode === 'page' ? (
+              <div className="min-h-full p-6">
+                <div ref={containerRef}>
+                  <PdfPageView
+                    pdf={pdf}
+                    pageNumber={currentPage}
+                    scale={scale}
+                    highlights={highlightRanges}
                   />
-                ) : (
-                  <div className="text-center text-gray-500 py-16">
-                    <DocumentTextIcon className="w-12 h-12 mx-auto mb-4 opacity-50" />
-                    <div>No text found on this page</div>
+                </div>
+              </div>
+            ) : (
+              <div className="min-h-full p-6">
+                <div ref={containerRef} className="max-w-4xl mx-auto">
+                  <div className="bg-white rounded-lg shadow-sm border p-8 min-h-[600px]">
+                    {loading ? (
+                      <div className="flex items-center justify-center h-64">
+                        <div className="flex items-center space-x-3">
+                          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                          <span className="text-lg text-gray-700">Extracting text...</span>
+                        </div>
+                      </div>
+                    ) : pageText ? (
+                      <>
+                        {pageTextIsOcr && (
+                          <div className="text-xs text-amber-700 mb-4">
+                            Text read from the scanned page image (OCR); it may contain errors
+                          </div>
+                        )}
+                        <HighlightedText
+                          ref={textContainerRef}
+                          text={pageText}
+                          ranges={highlightRanges}
+                          pageNumber={currentPage}
+                        />
+                      </>
+                    ) : (
+                      <div className="text-center text-gray-500 py-16">
+                        <DocumentTextIcon className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                        <div>No text found on this page</div>
+                      </div>
+                    )}
                   </div>
-                )}
+                </div>
               </div>
-            </div>
+            )}
           </div>
         )}
       </div>
 
+      {pendingSelection && (
+        <SelectionPopover
+          key={`${pendingSelection.page}-${pendingSelection.start}-${pendingSelection.end}`}
+          position={pendingSelection.position}
+          onAsk={onAskAboutSelection && handleAskSelection}
+          onSave={handleSaveAnnotation}
+          onClose={() => setPendingSelection(null)}
+        />
+      )}
+
       {/* Enhanced Styles for consistent text highlighting */}
       <style jsx>{`
         .text-content {
@@ -872,6 +1016,106 @@ const escapeRegExp = (string) => {
           word-spacing: inherit !important;
         }
         
+        /* Page view: PDF.js text layer over the canvas */
+        .textLayer {
+          position: absolute;
+          text-align: initial;
+          inset: 0;
+          overflow: hidden;
+          line-height: 1;
+          text-size-adjust: none;
+          forced-color-adjust: none;
+          transform-origin: 0 0;
+          z-index: 2;
+        }
+
+        .textLayer span,
+        .textLayer br {
+          color: transparent;
+          position: absolute;
+          white-space: pre;
+          cursor: text;
+          transform-origin: 0% 0%;
+        }
+
+        .textLayer ::selection {
+          background-color: rgba(0, 123, 255, 0.3);
+        }
+
+        /* Full-document search hits */
+        .search-hit {
+          background-color: rgba(255, 152, 0, 0.35);
+          color: inherit;
+          border-radius: 2px;
+        }
+
+        .search-hit-active {
+          background-color: #FF9800;
+          outline: 2px solid #E65100;
+        }
+
+        .search-overlay {
+          background-color: rgba(255, 152, 0, 0.35);
+          mix-blend-mode: multiply;
+          border-radius: 2px;
+        }
+
+        .search-overlay-active {
+          background-color: rgba(255, 152, 0, 0.8);
+          outline: 2px solid #E65100;
+        }
+
+        /* Page view: citation overlays at glyph positions */
+        .citation-overlay {
+          background-color: rgba(255, 235, 59, 0.55);
+          mix-blend-mode: multiply;
+          border-radius: 2px;
+        }
+
+        .citation-overlay-word {
+          background-color: rgba(255, 235, 59, 0.35);
+        }
+
+        /* User annotations: a tinted band with a solid underline, so they
+           never read as the yellow citation fill */
+        .user-annotation {
+          background-color: var(--annotation-fill);
+          border-bottom: 2px solid var(--annotation-line);
+          color: inherit;
+          border-radius: 0;
+          padding: 0;
+        }
+
+        .annotation-overlay {
+          background-color: var(--annotation-fill);
+          border-bottom: 2px solid var(--annotation-line);
+          mix-blend-mode: multiply;
+        }
+
+        .user-annotation-green,
+        .annotation-overlay-green {
+          --annotation-fill: rgba(74, 222, 128, 0.25);
+          --annotation-line: #16a34a;
+        }
+
+        .user-annotation-blue,
+        .annotation-overlay-blue {
+          --annotation-fill: rgba(96, 165, 250, 0.25);
+          --annotation-line: #2563eb;
+        }
+
+        .user-annotation-pink,
+        .annotation-overlay-pink {
+          --annotation-fill: rgba(244, 114, 182, 0.25);
+          --annotation-line: #db2777;
+        }
+
+        .user-annotation-purple,
+        .annotation-overlay-purple {
+          --annotation-fill: rgba(167, 139, 250, 0.25);
+          --annotation-line: #7c3aed;
+        }
+
         @media (max-width: 768px) {
           .citation-highlight {
             padding: 1px 2px !important;
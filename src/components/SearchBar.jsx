@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { MagnifyingGlassIcon, ChevronUpIcon, ChevronDownIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { getSearchIndex, searchIndex, unreadPages } from "../lib/documentSearch";
+
+const MAX_LISTED_RESULTS = 200;
+
+// Full-document search box for the viewer toolbar. The page index is built
+// on the first search; hits and the active hit are owned by the viewer so it
+// can highlight them.
+export default function SearchBar({ pdf, hits, activeHitIndex, onHitsChange, onSelectHit }) {
+  const [query, setQuery] = useState('');
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const [indexing, setIndexing] = useState(null);
+  const [showResults, setShowResults] = useState(false);
+  // Scanned pages not searched because their text hasn't been read yet
+  const [skippedPages, setSkippedPages] = useState([]);
+
+  const runSearch = async () => {
+    const trimmed = query.trim();
+    if (!trimmed || !pdf) {
+      clearSearch();
+      return;
+    }
+
+    setIndexing({ done: 0, total: pdf.numPages });
+    try {
+      const index = await getSearchIndex(pdf, (done, total) => setIndexing({ done, total }));
+      const results = searchIndex(index, trimmed);
+      setSkippedPages(unreadPages(index));
+      setSearchedQuery(trimmed);
+      onHitsChange(results);
+      setShowResults(true);
+      if (results.length > 0) {
+        onSelectHit(results[0]);
+      }
+    } catch (err) {
+      console.error("Search failed:", err);
+    } finally {
+      setIndexing(null);
+    }
+  };
+
+  const clearSearch = () => {
+    setQuery('');
+    setSearchedQuery('');
+    setSkippedPages([]);
+    setShowResults(false);
+    onHitsChange([]);
+  };
+
+  const stepHit = (direction) => {
+    if (hits.length === 0) return;
+    const current = activeHitIndex ?? -1;
+    onSelectHit(hits[(current + direction + hits.length) % hits.length]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      // Repeated Enter on the same query walks through the hits
+      if (query.trim() === searchedQuery && hits.length > 0) {
+        stepHit(e.shiftKey ? -1 : 1);
+      } else {
+        runSearch();
+      }
+    } else if (e.key === 'Escape') {
+      setShowResults(false);
+    }
+  };
+
+  return (
+    <div className="relative flex items-center space-x-1">
+      <div className="flex items-center border border-gray-300 rounded-lg px-2 focus-within:ring focus-within:ring-blue-200">
+        <MagnifyingGlassIcon className="w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => searchedQuery && setShowResults(true)}
+          placeholder="Search document..."
+          className="w-44 px-2 py-1.5 text-sm focus:outline-none"
+          aria-label="Search the whole document"
+          disabled={!pdf}
+        />
+        {query && (
+          <button onClick={clearSearch} className="text-gray-400 hover:text-gray-600" title="Clear search">
+            <XMarkIcon className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <span className="text-xs text-gray-600 min-w-[64px] text-center">
+        {indexing
+          ? `Indexing ${indexing.done}/${indexing.total}`
+          : searchedQuery
+            ? hits.length > 0
+              ? `${(activeHitIndex ?? 0) + 1} of ${hits.length}`
+              : 'No results'
+            : ''}
+      </span>
+
+      {searchedQuery && !indexing && skippedPages.length > 0 && (
+        <span
+          className="text-xs text-amber-700 whitespace-nowrap"
+          title={`Scanned pages are searched once their text has been read (OCR) in the viewer. Not searched: p. ${skippedPages.join(', ')}`}
+        >
+          {skippedPages.length} scanned page{skippedPages.length === 1 ? '' : 's'} not searched
+        </span>
+      )}
+
+      <button
+        onClick={() => stepHit(-1)}
+        disabled={hits.length === 0}
+        className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+        title="Previous result (Shift + Enter)"
+      >
+        <ChevronUpIcon className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => stepHit(1)}
+        disabled={hits.length === 0}
+        className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+        title="Next result (Enter)"
+      >
+        <ChevronDownIcon className="w-4 h-4" />
+      </button>
+
+      {/* Results list */}
+      {showResults && searchedQuery && hits.length > 0 && (
+        <div className="absolute top-full left-0 mt-1 w-96 max-h-80 overflow-y-auto bg-white border rounded-lg shadow-lg z-20">
+          <div className="flex items-center justify-between px-3 py-2 border-b text-xs text-gray-500">
+            <span>
+              {hits.length} result{hits.length === 1 ? '' : 's'} for “{searchedQuery}”
+            </span>
+            <button onClick={() => setShowResults(false)} className="hover:text-gray-700">
+              Close
+            </button>
+          </div>
+          {hits.slice(0, MAX_LISTED_RESULTS).map((hit) => (
+            <button
+              key={hit.index}
+              onClick={() => onSelectHit(hit)}
+              className={`w-full text-left px-3 py-2 text-xs border-b last:border-b-0 hover:bg-gray-50 ${
+                hit.index === activeHitIndex ? 'bg-blue-50' : ''
+              }`}
+            >
+              <span className="font-semibold text-gray-700 mr-2">p. {hit.page}</span>
+              <span className="text-gray-600">
+                {hit.snippet.before}
+                <mark className="bg-orange-200">{hit.snippet.match}</mark>
+                {hit.snippet.after}
+              </span>
+            </button>
+          ))}
+          {hits.length > MAX_LISTED_RESULTS && (
+            <div className="px-3 py-2 text-xs text-gray-500">
+              Showing first {MAX_LISTED_RESULTS} results. Use next/previous to reach the rest.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
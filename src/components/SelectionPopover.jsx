@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from "react";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import { ANNOTATION_COLORS, DEFAULT_ANNOTATION_COLOR } from "../lib/annotations";
+import { SELECTION_ACTIONS } from "../lib/questionModes";
+
+// Row of colour swatches; used when creating and when editing an annotation
+export function ColorPicker({ value, onChange }) {
+  return (
+    <div className="flex items-center gap-1" role="radiogroup" aria-label="Highlight colour">
+      {ANNOTATION_COLORS.map((color) => (
+        <button
+          key={color.id}
+          type="button"
+          role="radio"
+          aria-checked={value === color.id}
+          aria-label={color.label}
+          title={color.label}
+          onClick={() => onChange(color.id)}
+          className={`w-5 h-5 rounded-full border-2 ${value === color.id ? "border-gray-700" : "border-white"}`}
+          style={{ backgroundColor: color.swatch }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Floating box over a text selection in the viewer: ask about the selected
+// text (onAsk(actionId)), or pick a colour, add an optional note and save it
+// as a highlight. `position` is in viewport pixels.
+export default function SelectionPopover({ position, onAsk, onSave, onClose }) {
+  const [color, setColor] = useState(DEFAULT_ANNOTATION_COLOR);
+  const [note, setNote] = useState("");
+  const popoverRef = useRef(null);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (!popoverRef.current?.contains(e.target)) onClose();
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [onClose]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ color, note });
+  };
+
+  return (
+    <form
+      ref={popoverRef}
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === "Escape" && onClose()}
+      className="fixed z-50 w-64 p-3 rounded-lg bg-white border shadow-lg space-y-2"
+      style={{ top: position.top, left: position.left }}
+    >
+      {onAsk && (
+        <div className="flex flex-wrap gap-1 pb-2 border-b">
+          {SELECTION_ACTIONS.map((action) => (
+            <button
+              key={action.id}
+              type="button"
+              onClick={() => onAsk(action.id)}
+              className="px-2 py-1 rounded-full border border-blue-300 text-xs text-blue-700 hover:bg-blue-50"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center justify-between">
+        <ColorPicker value={color} onChange={setColor} />
+        <button type="button" onClick={onClose} className="p-1 rounded hover:bg-gray-100" aria-label="Cancel">
+          <XMarkIcon className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) handleSubmit(e);
+        }}
+        rows={2}
+        placeholder="Add a note (optional)"
+        className="w-full px-2 py-1 text-sm border rounded resize-none focus:outline-none focus:ring focus:ring-blue-200"
+      />
+      <button
+        type="submit"
+        className="w-full px-3 py-1.5 rounded bg-blue-600 text-white text-sm hover:bg-blue-700"
+      >
+        Highlight
+      </button>
+    </form>
+  );
+}
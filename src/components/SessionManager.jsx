@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { PencilIcon, TrashIcon, CheckIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { getSessionTitle } from "../lib/caseSessions";
+
+const formatDate = (iso) => {
+  try {
+    return new Date(iso).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+  } catch {
+    return iso;
+  }
+};
+
+function SessionRow({ session, isCurrent, onResume, onRename, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const documentNames = (session.documents || []).map((doc) => doc.name);
+
+  const startRename = () => {
+    setDraftName(getSessionTitle(session));
+    setIsRenaming(true);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    onRename(session.caseId, draftName);
+    setIsRenaming(false);
+  };
+
+  return (
+    <li className={`p-3 rounded-lg border ${isCurrent ? "border-blue-300 bg-blue-50" : "bg-white hover:bg-gray-50"}`}>
+      <div className="flex items-start justify-between gap-2">
+        {isRenaming ? (
+          <form onSubmit={submitRename} className="flex-1 flex items-center gap-1">
+            <input
+              autoFocus
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              onKeyDown={(e) => e.key === "Escape" && setIsRenaming(false)}
+              className="flex-1 px-2 py-1 text-sm border rounded focus:outline-none focus:ring focus:ring-blue-200"
+              aria-label="Session name"
+            />
+            <button type="submit" className="p-1 rounded hover:bg-gray-200" aria-label="Save name">
+              <CheckIcon className="w-4 h-4 text-green-600" />
+            </button>
+            <button type="button" onClick={() => setIsRenaming(false)} className="p-1 rounded hover:bg-gray-200" aria-label="Cancel">
+              <XMarkIcon className="w-4 h-4 text-gray-500" />
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => onResume(session)}
+            disabled={isCurrent}
+            className="flex-1 min-w-0 text-left disabled:cursor-default"
+            title={isCurrent ? "Current session" : "Resume this session"}
+          >
+            <div className="font-medium text-sm text-gray-800 truncate">
+              {getSessionTitle(session)}
+              {isCurrent && <span className="ml-2 text-xs font-normal text-blue-600">current</span>}
+            </div>
+            {documentNames.length > 0 && (
+              <div className="text-xs text-gray-500 truncate" title={documentNames.join(", ")}>
+                {documentNames.join(", ")}
+              </div>
+            )}
+            <div className="text-xs text-gray-400">Created {formatDate(session.createdAt)}</div>
+            {session.lastQuestion && (
+              <div className="mt-1 text-xs text-gray-600 italic line-clamp-2">“{session.lastQuestion}”</div>
+            )}
+          </button>
+        )}
+
+        {!isRenaming && (
+          <div className="flex items-center flex-shrink-0">
+            <button onClick={startRename} className="p-1 rounded hover:bg-gray-200" title="Rename" aria-label="Rename">
+              <PencilIcon className="w-4 h-4 text-gray-500" />
+            </button>
+            <button
+              onClick={() => setConfirmingDelete(true)}
+              className="p-1 rounded hover:bg-gray-200"
+              title="Delete"
+              aria-label="Delete"
+            >
+              <TrashIcon className="w-4 h-4 text-gray-500" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {confirmingDelete && (
+        <div className="mt-2 flex items-center justify-between p-2 rounded bg-red-50 border border-red-200 text-xs text-red-700">
+          <span>Delete this session and its conversation?</span>
+          <div className="flex gap-1">
+            <button
+              onClick={() => onDelete(session.caseId)}
+              className="px-2 py-0.5 rounded bg-red-600 text-white hover:bg-red-700"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setConfirmingDelete(false)}
+              className="px-2 py-0.5 rounded bg-white border hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// List of saved cases with resume, rename and delete
+export default function SessionManager({ sessions, currentCaseId, onResume, onRename, onDelete, onClose }) {
+  return (
+    <div className="absolute inset-0 z-20 flex flex-col bg-white">
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <h3 className="font-semibold text-gray-800">Saved sessions</h3>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" aria-label="Close">
+          <XMarkIcon className="w-5 h-5 text-gray-500" />
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-4">
+        {sessions.length === 0 ? (
+          <div className="text-sm text-gray-500 text-center mt-8">No saved sessions yet.</div>
+        ) : (
+          <ul className="space-y-2">
+            {sessions.map((session) => (
+              <SessionRow
+                key={session.caseId}
+                session={session}
+                isCurrent={session.caseId === currentCaseId}
+                onResume={onResume}
+                onRename={onRename}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
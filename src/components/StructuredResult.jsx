@@ -0,0 +1,147 @@
+import React from "react";
+import { getColorForPage } from "../lib/pageColors";
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-800 border-red-200',
+  medium: 'bg-amber-100 text-amber-800 border-amber-200',
+  low: 'bg-green-100 text-green-800 border-green-200',
+};
+
+// A clickable page chip that opens the item in the viewer like a citation
+function PageLink({ item, text, onCitationClick }) {
+  if (!item.page) return <span className="text-gray-400">—</span>;
+  return (
+    <button
+      onClick={() =>
+        onCitationClick({
+          page: item.page,
+          quote: item.quote || text,
+          file_name: item.file_name,
+          source_id: item.source_id,
+        })
+      }
+      className={`px-2 py-0.5 rounded text-xs font-medium text-gray-800 whitespace-nowrap ${getColorForPage(
+        item.page
+      )} hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-blue-400`}
+      title={item.file_name ? `${item.file_name}, page ${item.page}` : `Go to page ${item.page}`}
+    >
+      p. {item.page}
+    </button>
+  );
+}
+
+function ClauseTable({ clauses, onCitationClick }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="bg-gray-200 text-left">
+            <th className="p-2 border font-semibold">Clause</th>
+            <th className="p-2 border font-semibold">Text</th>
+            <th className="p-2 border font-semibold">Page</th>
+          </tr>
+        </thead>
+        <tbody>
+          {clauses.map((clause, idx) => (
+            <tr key={idx} className="align-top bg-white">
+              <td className="p-2 border font-medium">{clause.title || clause.type || `Clause ${idx + 1}`}</td>
+              <td className="p-2 border text-gray-700">
+                <div className="line-clamp-4">{clause.text || clause.summary}</div>
+              </td>
+              <td className="p-2 border">
+                <PageLink item={clause} text={clause.text} onCitationClick={onCitationClick} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function PartiesAndDates({ parties = [], dates = [], onCitationClick }) {
+  return (
+    <div className="space-y-3">
+      {parties.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-1">Parties</h4>
+          <ul className="space-y-1">
+            {parties.map((party, idx) => (
+              <li key={idx} className="flex items-start justify-between gap-2 p-2 rounded bg-white border text-sm">
+                <div>
+                  <div className="font-medium">{party.name}</div>
+                  {party.role && <div className="text-xs text-gray-500">{party.role}</div>}
+                </div>
+                <PageLink item={party} text={party.name} onCitationClick={onCitationClick} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {dates.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-1">Key dates</h4>
+          <ul className="space-y-1">
+            {dates.map((entry, idx) => (
+              <li key={idx} className="flex items-start justify-between gap-2 p-2 rounded bg-white border text-sm">
+                <div>
+                  <div className="font-medium">{entry.date}</div>
+                  {entry.description && <div className="text-xs text-gray-600">{entry.description}</div>}
+                </div>
+                <PageLink item={entry} text={entry.description} onCitationClick={onCitationClick} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RiskList({ risks, onCitationClick }) {
+  return (
+    <ul className="space-y-2">
+      {risks.map((risk, idx) => {
+        const severity = String(risk.severity || '').toLowerCase();
+        return (
+          <li key={idx} className="p-2 rounded bg-white border text-sm">
+            <div className="flex items-start justify-between gap-2 mb-1">
+              <div className="font-medium">{risk.title || `Risk ${idx + 1}`}</div>
+              <div className="flex items-center gap-1">
+                {risk.severity && (
+                  <span
+                    className={`px-1.5 py-0.5 rounded border text-[10px] font-semibold uppercase ${
+                      SEVERITY_STYLES[severity] || 'bg-gray-100 text-gray-700 border-gray-200'
+                    }`}
+                  >
+                    {risk.severity}
+                  </span>
+                )}
+                <PageLink item={risk} text={risk.quote} onCitationClick={onCitationClick} />
+              </div>
+            </div>
+            {(risk.explanation || risk.description) && (
+              <div className="text-gray-700">{risk.explanation || risk.description}</div>
+            )}
+            {risk.recommendation && (
+              <div className="mt-1 text-xs text-gray-500">Recommendation: {risk.recommendation}</div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Layout for the lists returned by structured question modes
+export default function StructuredResult({ result, onCitationClick }) {
+  return (
+    <div className="space-y-3">
+      {result.clauses?.length > 0 && <ClauseTable clauses={result.clauses} onCitationClick={onCitationClick} />}
+      {(result.parties?.length > 0 || result.dates?.length > 0) && (
+        <PartiesAndDates parties={result.parties} dates={result.dates} onCitationClick={onCitationClick} />
+      )}
+      {result.risks?.length > 0 && <RiskList risks={result.risks} onCitationClick={onCitationClick} />}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// The user's own highlights and notes, persisted in localStorage per case_id.
+//
+// An annotation is anchored to a document (see documentKey in pdfStore.js),
+// a page and a character range over that page's text from buildPageText.
+// The quoted text and a little context on either side are stored as well,
+// so the range can be found again if the extracted text shifts.
+const STORAGE_PREFIX = "annotations_";
+const CONTEXT_LENGTH = 32;
+
+// Kept clear of the yellow used for citations and the orange of search hits
+export const ANNOTATION_COLORS = [
+  { id: "green", label: "Green", swatch: "#4ade80" },
+  { id: "blue", label: "Blue", swatch: "#60a5fa" },
+  { id: "pink", label: "Pink", swatch: "#f472b6" },
+  { id: "purple", label: "Purple", swatch: "#a78bfa" },
+];
+
+export const DEFAULT_ANNOTATION_COLOR = ANNOTATION_COLORS[0].id;
+
+export const getAnnotationColor = (colorId) =>
+  ANNOTATION_COLORS.find((color) => color.id === colorId) || ANNOTATION_COLORS[0];
+
+export const loadAnnotations = (caseId) => {
+  if (!caseId) return [];
+  try {
+    const annotations = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${caseId}`) || "[]");
+    return Array.isArray(annotations) ? annotations : [];
+  } catch (err) {
+    console.warn("Failed to restore annotations:", err);
+    return [];
+  }
+};
+
+export const saveAnnotations = (caseId, annotations) => {
+  if (!caseId) return;
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${caseId}`, JSON.stringify(annotations));
+  } catch (err) {
+    console.warn("Failed to save annotations:", err);
+  }
+};
+
+export const clearAnnotations = (caseId) => {
+  if (!caseId) return;
+  localStorage.removeItem(`${STORAGE_PREFIX}${caseId}`);
+};
+
+// A new annotation over pageText[start, end) of a page
+export const createAnnotation = ({ documentKey, documentName, page, pageText, start, end, color, note }) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  documentKey,
+  documentName,
+  page,
+  start,
+  end,
+  quote: pageText.slice(start, end),
+  prefix: pageText.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+  suffix: pageText.slice(end, end + CONTEXT_LENGTH),
+  color: color || DEFAULT_ANNOTATION_COLOR,
+  note: note?.trim() || "",
+  createdAt: new Date().toISOString(),
+});
+
+// Length of the common run of a and b, read from their ends (fromEnd) or starts
+const sharedLength = (a, b, fromEnd) => {
+  let length = 0;
+  while (
+    length < a.length &&
+    length < b.length &&
+    (fromEnd ? a[a.length - 1 - length] === b[b.length - 1 - length] : a[length] === b[length])
+  ) {
+    length++;
+  }
+  return length;
+};
+
+// Where the annotation sits in the current page text: the stored offsets when
+// they still cover the quote, otherwise the occurrence of the quote whose
+// surrounding text matches best (closest to the old position on a tie).
+// Returns { start, end } or null when the quote is no longer on the page.
+export const resolveAnnotationRange = (pageText, annotation) => {
+  const { start, end, quote } = annotation;
+  if (!pageText || !quote) return null;
+  if (pageText.slice(start, end) === quote) return { start, end };
+
+  let best = null;
+  for (let index = pageText.indexOf(quote); index !== -1; index = pageText.indexOf(quote, index + 1)) {
+    const context =
+      sharedLength(pageText.slice(Math.max(0, index - CONTEXT_LENGTH), index), annotation.prefix || "", true) +
+      sharedLength(pageText.slice(index + quote.length), annotation.suffix || "", false);
+    const distance = Math.abs(index - start);
+    if (!best || context > best.context || (context === best.context && distance < best.distance)) {
+      best = { start: index, end: index + quote.length, context, distance };
+    }
+  }
+  return best && { start: best.start, end: best.end };
+};
+
+// Highlight ranges for the annotations on one page, in the same shape as
+// findCitationRangesForPage so both views can draw them
+export const annotationRangesForPage = (pageText, pageNumber, annotations) =>
+  (annotations || [])
+    .filter((annotation) => annotation.page === pageNumber)
+    .map((annotation) => {
+      const range = resolveAnnotationRange(pageText, annotation);
+      return range && {
+        ...range,
+        annotationId: annotation.id,
+        color: annotation.color,
+        note: annotation.note,
+        className: `user-annotation user-annotation-${getAnnotationColor(annotation.color).id}`,
+      };
+    })
+    .filter(Boolean);
@@ -0,0 +1,388 @@
+// All backend calls go through this module.
+//
+// The backend URL comes from, in order of precedence:
+//   1. a runtime config file served at /config.json ({ "backendUrl": "..." }),
+//      so one build can be pointed at different servers
+//   2. the VITE_BACKEND_URL env variable at build time
+//   3. http://localhost:8000
+// requestTimeoutMs, maxRetries and maxUploadMb can be set in config.json as well.
+
+const DEFAULT_CONFIG = {
+  backendUrl: import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000',
+  requestTimeoutMs: Number(import.meta.env.VITE_REQUEST_TIMEOUT_MS) || 120000,
+  maxRetries: 2,
+  // Largest PDF accepted for upload
+  maxUploadMb: Number(import.meta.env.VITE_MAX_UPLOAD_MB) || 50,
+};
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const TRANSIENT_STATUSES = [408, 429, 502, 503, 504];
+
+// ---- Errors ----
+
+export class ApiError extends Error {
+  constructor(message, { status = null, detail = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = 'api';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// The case_id is unknown to the server (expired or purged)
+export class CaseExpiredError extends ApiError {
+  constructor(message = 'Your session has expired', options) {
+    super(message, options);
+    this.name = 'CaseExpiredError';
+    this.type = 'case_expired';
+  }
+}
+
+// The server rejected the request itself (bad file, empty question, ...)
+export class ValidationError extends ApiError {
+  constructor(message = 'The request was rejected', options) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.type = 'validation';
+  }
+}
+
+// 5xx, malformed responses and requests that took too long
+export class ServerError extends ApiError {
+  constructor(message = 'The server failed to process the request', options) {
+    super(message, options);
+    this.name = 'ServerError';
+    this.type = 'server';
+  }
+}
+
+export class TimeoutError extends ServerError {
+  constructor(message = 'The server took too long to respond', options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+    this.type = 'timeout';
+  }
+}
+
+// The request never reached the server
+export class NetworkOfflineError extends ApiError {
+  constructor(message = 'Unable to reach the server', options) {
+    super(message, options);
+    this.name = 'NetworkOfflineError';
+    this.type = 'offline';
+  }
+}
+
+// ---- Config ----
+
+let configPromise = null;
+
+export const getApiConfig = () => {
+  if (!configPromise) {
+    configPromise = fetch('/config.json', { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : {}))
+      .catch(() => ({}))
+      .then((runtimeConfig) => ({
+        ...DEFAULT_CONFIG,
+        ...runtimeConfig,
+        backendUrl: (runtimeConfig.backendUrl || DEFAULT_CONFIG.backendUrl).replace(/\/+$/, ''),
+      }));
+  }
+  return configPromise;
+};
+
+// ---- Requests ----
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+
+const parseResponseHeaders = (raw) => {
+  const headers = new Headers();
+  raw.trim().split(/[\r\n]+/).forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+  });
+  return headers;
+};
+
+// fetch() can't report upload progress, so requests that need it go through
+// XMLHttpRequest. The result is still a Response whose body streams as the
+// server writes it, so callers can't tell the two paths apart.
+const fetchWithUploadProgress = (url, { method, body, headers, signal, onUploadProgress }) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const encoder = new TextEncoder();
+    let bodyController;
+    let received = 0;
+
+    const fail = (error) => {
+      reject(error);
+      try {
+        bodyController?.error(error);
+      } catch {
+        // body already closed
+      }
+    };
+    const pushResponseText = () => {
+      const text = xhr.responseText;
+      if (text.length > received) {
+        bodyController.enqueue(encoder.encode(text.slice(received)));
+        received = text.length;
+      }
+    };
+
+    xhr.open(method, url);
+    Object.entries(headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onUploadProgress({ loaded: e.loaded, total: e.total, done: false });
+    };
+    xhr.upload.onload = () => onUploadProgress({ loaded: 1, total: 1, done: true });
+
+    xhr.onreadystatechange = () => {
+      if (xhr.readyState !== XMLHttpRequest.HEADERS_RECEIVED) return;
+      const noBody = [204, 205, 304].includes(xhr.status);
+      const responseBody = noBody
+        ? null
+        : new ReadableStream({
+            start(controller) {
+              bodyController = controller;
+            },
+            cancel() {
+              xhr.abort();
+            },
+          });
+      resolve(new Response(responseBody, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: parseResponseHeaders(xhr.getAllResponseHeaders()),
+      }));
+    };
+    xhr.onprogress = () => bodyController && pushResponseText();
+    xhr.onload = () => {
+      if (!bodyController) return;
+      pushResponseText();
+      bodyController.close();
+    };
+    // Same failure shapes as fetch: TypeError for network errors, AbortError for aborts
+    xhr.onerror = () => fail(new TypeError('Network request failed'));
+    xhr.onabort = () => fail(new DOMException('Aborted', 'AbortError'));
+
+    if (signal) {
+      if (signal.aborted) {
+        fail(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+      signal.addEventListener('abort', () => xhr.abort(), { once: true });
+    }
+    xhr.send(body);
+  });
+
+const backoffDelay = (attempt) => {
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  // Full jitter so parallel clients don't retry in lockstep
+  return Math.round(Math.random() * delay);
+};
+
+const readErrorDetail = async (res) => {
+  try {
+    const text = await res.text();
+    try {
+      const data = JSON.parse(text);
+      const detail = data.detail ?? data.message ?? data.error ?? text;
+      return typeof detail === 'string' ? detail : JSON.stringify(detail);
+    } catch {
+      return text;
+    }
+  } catch {
+    return null;
+  }
+};
+
+// Turn a failed response into the matching error type
+const errorForResponse = async (res, { withCaseId }) => {
+  const detail = await readErrorDetail(res);
+  const options = { status: res.status, detail };
+
+  if (withCaseId && (res.status === 404 || res.status === 410)) {
+    return new CaseExpiredError(undefined, options);
+  }
+  if (withCaseId && res.status === 400 && /case/i.test(detail || '')) {
+    return new CaseExpiredError(undefined, options);
+  }
+  if (res.status === 400 || res.status === 413 || res.status === 415 || res.status === 422) {
+    return new ValidationError(detail || undefined, options);
+  }
+  if (res.status === 408 || res.status === 504) {
+    return new TimeoutError(undefined, options);
+  }
+  return new ServerError(`HTTP error! status: ${res.status}`, options);
+};
+
+// Fetch with a timeout and retry-with-backoff for transient failures.
+// Returns the Response once headers arrive (bodies are never retried) and
+// throws one of the ApiError types otherwise. An abort through `signal`
+// is rethrown unchanged as an AbortError.
+// With `onUploadProgress`, the request body's progress is reported as
+// { loaded, total, done }; every retry starts again from zero.
+export const apiRequest = async (
+  path,
+  { method = 'GET', body, headers, signal, timeoutMs, maxRetries, withCaseId = false, onUploadProgress } = {}
+) => {
+  const config = await getApiConfig();
+  const url = `${config.backendUrl}${path}`;
+  const retries = maxRetries ?? config.maxRetries;
+  const timeout = timeoutMs ?? config.requestTimeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+      signal.addEventListener('abort', abortFromCaller, { once: true });
+    }
+    let timedOut = false;
+    let timer;
+    const armTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    };
+    armTimeout();
+
+    let error;
+    let succeeded = false;
+    try {
+      const res = onUploadProgress
+        ? await fetchWithUploadProgress(url, {
+            method,
+            body,
+            headers,
+            signal: controller.signal,
+            // A large upload may take longer than the timeout; only a stalled one should trip it
+            onUploadProgress: (progress) => {
+              armTimeout();
+              onUploadProgress(progress);
+            },
+          })
+        : await fetch(url, { method, body, headers, signal: controller.signal });
+      if (res.ok) {
+        succeeded = true;
+        return res;
+      }
+
+      error = await errorForResponse(res, { withCaseId });
+      if (!TRANSIENT_STATUSES.includes(res.status)) throw error;
+    } catch (err) {
+      if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+      if (err instanceof ApiError && !TRANSIENT_STATUSES.includes(err.status)) throw err;
+      // A request that already ran for the full timeout is not worth repeating
+      if (timedOut) throw new TimeoutError();
+
+      if (err instanceof ApiError) {
+        error = err;
+      } else {
+        // fetch only rejects on network failure
+        error = new NetworkOfflineError(
+          navigator.onLine === false ? 'You appear to be offline' : undefined,
+          { detail: err.message }
+        );
+      }
+    } finally {
+      // The timeout covers waiting for headers only; a streamed body can
+      // take longer, but must stay abortable by the caller
+      clearTimeout(timer);
+      if (!succeeded) signal?.removeEventListener('abort', abortFromCaller);
+    }
+
+    if (attempt >= retries) throw error;
+
+    const delay = backoffDelay(attempt);
+    console.warn(`⚠️ ${method} ${path} failed (${error.name}), retrying in ${delay}ms`);
+    await sleep(delay, signal);
+  }
+};
+
+// Parse a JSON body, reporting malformed responses as server errors
+export const readJson = async (res) => {
+  const responseText = await res.text();
+  try {
+    return JSON.parse(responseText);
+  } catch (parseError) {
+    console.error("❌ JSON parse error:", parseError);
+    console.error("📄 Response text that failed to parse:", responseText);
+    throw new ServerError('Invalid JSON response from server');
+  }
+};
+
+// ---- Endpoints ----
+
+// POST /ingest. Uploads files to a new case, or adds them to `caseId`.
+// Resolves to { case_id, status, progress?, documents? }; indexing
+// continues on the server until GET /ingest/{case_id} reports it ready.
+export const ingest = async ({ files, caseId, signal, onUploadProgress }) => {
+  const formData = new FormData();
+  if (caseId) formData.append('case_id', caseId);
+  files.forEach((file) => formData.append('file', file));
+
+  const res = await apiRequest('/ingest', {
+    method: 'POST',
+    body: formData,
+    signal,
+    withCaseId: !!caseId,
+    onUploadProgress,
+  });
+  return readJson(res);
+};
+
+// GET /ingest/{case_id}: { status: 'processing' | 'ready' | 'failed', progress?, detail?, documents? }
+export const getIngestStatus = async ({ caseId, signal }) => {
+  const res = await apiRequest(`/ingest/${encodeURIComponent(caseId)}`, { signal, withCaseId: true });
+  return readJson(res);
+};
+
+// POST /ask about an ingested case
+export const ask = ({ question, questionType = 'general_question', caseId, selection, stream = false, accept, signal }) => {
+  const formData = new FormData();
+  formData.append('question', question);
+  formData.append('question_type', questionType);
+  formData.append('case_id', caseId);
+  if (selection) {
+    // Text the question is about, as JSON: { selection: { text, page, ... } }
+    formData.append('context', JSON.stringify({
+      selection: {
+        text: selection.text,
+        page: selection.page,
+        file_name: selection.documentName || null,
+        source_id: selection.sourceId || null,
+        start: selection.start,
+        end: selection.end,
+      },
+    }));
+  }
+  if (stream) {
+    // Ask for a streamed answer; servers without streaming reply with plain JSON
+    formData.append('stream', 'true');
+  }
+
+  return apiRequest('/ask', {
+    method: 'POST',
+    body: formData,
+    headers: accept ? { Accept: accept } : undefined,
+    signal,
+    withCaseId: true,
+    // A 502/504 may come after the server already started answering, so a
+    // repeat could run the question twice; failed turns offer Retry instead
+    maxRetries: 0,
+  });
+};
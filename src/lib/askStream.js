@@ -0,0 +1,98 @@
+// Streaming support for /ask.
+//
+// The backend may answer with server-sent events (text/event-stream) or
+// newline-delimited JSON (application/x-ndjson). Either way every message is
+// a JSON object whose `type` (or SSE `event:` name) is one of:
+//   meta      { case_id, doc_id }            session info, usually first
+//   token     { text }                       next piece of the answer
+//   citation  { citation }                   one entry of cited_pages_metadata
+//   citations { cited_pages_metadata }       several citations at once
+//   done      { answer?, cited_pages_metadata?, case_id? }   final state, plus
+//             clauses/parties/dates/risks lists for structured question types
+//   error     { message }
+// Any other response type is treated as the classic single JSON body.
+
+export const STREAM_ACCEPT = 'text/event-stream, application/x-ndjson, application/json';
+
+export const isStreamingResponse = (response) => {
+  const contentType = response.headers.get('content-type') || '';
+  return (
+    !!response.body &&
+    (contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson'))
+  );
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    console.warn("Skipping malformed stream message:", text);
+    return null;
+  }
+};
+
+// Parse one SSE block ("event: x\ndata: {...}") into an event object
+const parseSseBlock = (block) => {
+  let eventName = null;
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith(':')) return; // comment / keep-alive
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') eventName = value;
+    if (field === 'data') dataLines.push(value);
+  });
+
+  if (dataLines.length === 0) return null;
+  const data = dataLines.join('\n');
+  if (data === '[DONE]') return { type: 'done' };
+
+  const payload = parseJson(data);
+  if (payload === null) return null;
+  if (typeof payload !== 'object') return { type: eventName || 'token', text: String(payload) };
+  return { ...payload, type: payload.type || eventName || 'token' };
+};
+
+// Yield parsed events from a streaming /ask response as they arrive
+export async function* parseAskStream(response) {
+  const isSse = (response.headers.get('content-type') || '').includes('text/event-stream');
+  const separator = isSse ? /\r?\n\r?\n/ : /\r?\n/;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseChunk = (chunk) => {
+    if (!chunk.trim()) return null;
+    if (isSse) return parseSseBlock(chunk.replace(/\r\n/g, '\n'));
+
+    const payload = parseJson(chunk);
+    if (!payload || typeof payload !== 'object') return null;
+    return { ...payload, type: payload.type || ('answer' in payload ? 'done' : 'token') };
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const chunks = buffer.split(separator);
+      // The last piece may be incomplete; keep it for the next read
+      buffer = chunks.pop();
+
+      for (const chunk of chunks) {
+        const event = parseChunk(chunk);
+        if (event) yield event;
+      }
+    }
+
+    buffer += decoder.decode();
+    const event = parseChunk(buffer);
+    if (event) yield event;
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,80 @@
+// The PDFs that make up one case. Files are added locally first and then
+// ingested into the case; citations point back at them through source_id
+// (preferred) or file_name. A document restored from a saved session has no
+// `file` until the user re-attaches it.
+
+const createDocumentId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createCaseDocument = (file, hash = null) => ({
+  id: createDocumentId(),
+  file,
+  name: file.name,
+  size: file.size,
+  hash,
+  sourceId: null,
+  uploaded: false,
+});
+
+// What is kept of a document in a saved session (everything but the file)
+export const toStoredDocument = (doc) => ({
+  name: doc.name,
+  size: doc.size,
+  hash: doc.hash,
+  sourceId: doc.sourceId,
+});
+
+// Documents of a saved session, already ingested but without their files
+export const restoreCaseDocuments = (storedDocuments = []) =>
+  storedDocuments.map((stored) => ({
+    ...stored,
+    id: createDocumentId(),
+    file: null,
+    uploaded: true,
+  }));
+
+// Whether `file` is the same PDF a restored document was made from
+export const matchesDocument = (doc, file, hash) =>
+  doc.hash && hash ? doc.hash === hash : doc.name === file.name && doc.size === file.size;
+
+// The document already holding this file, if it was added before
+export const findDuplicateDocument = (documents, file) =>
+  documents.find((doc) => doc.name === file.name && doc.size === file.size) || null;
+
+// Mark files as sent and pick up the source ids the backend assigned.
+// `sourceDocuments` is the optional [{ file_name, source_id }] list of a response.
+export const markDocumentsUploaded = (documents, uploadedIds, sourceDocuments = []) =>
+  documents.map((doc) => {
+    const source = sourceDocuments.find((entry) => entry.file_name === doc.name);
+    if (!uploadedIds.includes(doc.id) && !source) return doc;
+    return {
+      ...doc,
+      uploaded: doc.uploaded || uploadedIds.includes(doc.id),
+      sourceId: source?.source_id ?? doc.sourceId,
+    };
+  });
+
+// The document a citation refers to, or null if it can't be told apart
+export const findDocumentForCitation = (documents, citation) => {
+  if (!citation || documents.length === 0) return null;
+  if (documents.length === 1) return documents[0];
+
+  if (citation.source_id) {
+    const bySource = documents.find((doc) => doc.sourceId && doc.sourceId === citation.source_id);
+    if (bySource) return bySource;
+  }
+  if (citation.file_name) {
+    const byName = documents.find((doc) => doc.name === citation.file_name);
+    if (byName) return byName;
+  }
+  return null;
+};
+
+// Citations that belong to one document. Others are replaced by null so
+// every citation keeps its index in the full list (highlight ids use it).
+// Citations that can't be attributed to any document are kept.
+export const citationsForDocument = (citations, documents, documentId) =>
+  citations.map((citation) => {
+    const doc = findDocumentForCitation(documents, citation);
+    return !doc || doc.id === documentId ? citation : null;
+  });
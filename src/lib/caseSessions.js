@@ -0,0 +1,64 @@
+// Saved cases, so earlier sessions can be resumed. Each entry describes one
+// case_id; its conversation lives separately (see conversationStorage.js).
+import { clearConversation } from "./conversationStorage";
+import { clearAnnotations } from "./annotations";
+
+const SESSIONS_KEY = "case_sessions";
+
+export const loadSessions = () => {
+  try {
+    const sessions = JSON.parse(localStorage.getItem(SESSIONS_KEY) || "[]");
+    return Array.isArray(sessions) ? sessions : [];
+  } catch (err) {
+    console.warn("Failed to read saved sessions:", err);
+    return [];
+  }
+};
+
+const writeSessions = (sessions) => {
+  try {
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+  } catch (err) {
+    console.warn("Failed to save sessions:", err);
+  }
+  return sessions;
+};
+
+export const getSession = (caseId) =>
+  loadSessions().find((session) => session.caseId === caseId) || null;
+
+// Create or update the entry for a case; returns the new list, newest first
+export const recordSession = (caseId, { documents, lastQuestion }) => {
+  const sessions = loadSessions();
+  const existing = sessions.find((session) => session.caseId === caseId);
+  const now = new Date().toISOString();
+
+  const updated = {
+    caseId,
+    name: existing?.name || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    documents: documents.length > 0 ? documents : existing?.documents || [],
+    lastQuestion: lastQuestion ?? existing?.lastQuestion ?? null,
+  };
+
+  return writeSessions([updated, ...sessions.filter((session) => session.caseId !== caseId)]);
+};
+
+export const renameSession = (caseId, name) =>
+  writeSessions(
+    loadSessions().map((session) =>
+      session.caseId === caseId ? { ...session, name: name.trim() || null } : session
+    )
+  );
+
+// Forget a case along with its conversation and annotations
+export const deleteSession = (caseId) => {
+  clearConversation(caseId);
+  clearAnnotations(caseId);
+  return writeSessions(loadSessions().filter((session) => session.caseId !== caseId));
+};
+
+// Name shown in the list: the user's own, else the first document's
+export const getSessionTitle = (session) =>
+  session.name || session.documents?.[0]?.name || "Untitled case";
@@ -0,0 +1,108 @@
+import { findQuote } from "./quoteMatcher";
+
+// The citations with a quote worth matching whose cited page passes
+// isWanted, as [{ index, quote, page }] where index is the position of the
+// citation in citedPagesMetadata (as used by scrollToCitation)
+const citationQuotes = (citedPagesMetadata, isWanted) => {
+  if (!Array.isArray(citedPagesMetadata)) return [];
+
+  return citedPagesMetadata
+    .map((citation, index) => ({ citation, index }))
+    .filter(({ citation }) => citation && isWanted(citation.page))
+    .map(({ citation, index }) => ({ index, quote: citation.quote || citation.content_preview, page: citation.page }))
+    .filter(({ quote }) => quote && quote.length >= 10);
+};
+
+// The citations of a page and of the pages either side, whose quotes may
+// run over the page break onto it
+export const citationQuotesNearPage = (pageNumber, citedPagesMetadata) =>
+  citationQuotes(citedPagesMetadata, (page) => Math.abs(page - pageNumber) <= 1);
+
+// Locate a quote in pageText with findQuote (see quoteMatcher.js). Returns
+// { method, score, ranges }: the method and score of what was found, 'words'
+// with no ranges when nothing was. ranges are [{ start, end, className }].
+// `page` is preparePage(pageText), when the caller already has it.
+export const matchQuote = (pageText, searchText, page) => {
+  const matches = findQuote(pageText, searchText, page);
+  if (matches.length === 0) return { method: 'words', score: 0, ranges: [] };
+
+  const { method, score } = matches[0];
+  const className = method === 'words' ? 'citation-highlight-word' : 'citation-highlight';
+  return { method, score, ranges: matches.map(({ start, end }) => ({ start, end, className })) };
+};
+
+// Split the text into plain and highlighted segments for the given ranges
+// (citations or search hits). Overlapping ranges are dropped so highlights
+// never nest. Segments carry plain strings only; rendering them as React
+// text keeps anything extracted from the PDF from being parsed as HTML.
+//
+// User annotations (ranges with an annotationId) are layered on top instead:
+// segments are split where an annotation starts or ends, and the pieces it
+// covers carry it as `annotation`, so a note over a citation keeps both.
+export const buildHighlightSegments = (text, ranges) => {
+  const annotationRanges = ranges.filter((range) => range.annotationId !== undefined);
+  const sorted = ranges
+    .filter((range) => range.annotationId === undefined)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const matchCounts = {};
+  const segments = [];
+  let cursor = 0;
+
+  sorted.forEach((range) => {
+    if (range.start < cursor || range.end <= range.start) return;
+
+    let id = null;
+    if (range.searchHitIndex === undefined) {
+      const matchIndex = matchCounts[range.citationIndex] || 0;
+      matchCounts[range.citationIndex] = matchIndex + 1;
+      if (range.className === 'citation-highlight') {
+        id = `highlight-${range.citationIndex}-${matchIndex}`;
+      }
+    }
+
+    if (range.start > cursor) segments.push({ text: text.slice(cursor, range.start), range: null });
+    segments.push({ text: text.slice(range.start, range.end), range, id });
+    cursor = range.end;
+  });
+
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), range: null });
+  return annotationRanges.length > 0 ? layerAnnotations(segments, annotationRanges) : segments;
+};
+
+const layerAnnotations = (segments, annotationRanges) => {
+  // Annotations don't overlap each other either; the earlier one wins
+  const annotations = [];
+  [...annotationRanges]
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach((range) => {
+      const previous = annotations[annotations.length - 1];
+      if (range.end > range.start && (!previous || range.start >= previous.end)) annotations.push(range);
+    });
+  const boundaries = annotations.flatMap((range) => [range.start, range.end]);
+
+  const layered = [];
+  let offset = 0;
+  segments.forEach((segment) => {
+    const segmentStart = offset;
+    const segmentEnd = offset + segment.text.length;
+    offset = segmentEnd;
+
+    const cuts = [
+      segmentStart,
+      ...boundaries.filter((point) => point > segmentStart && point < segmentEnd),
+      segmentEnd,
+    ];
+    for (let i = 0; i < cuts.length - 1; i++) {
+      if (cuts[i] === cuts[i + 1]) continue;
+      const annotation = annotations.find((range) => range.start <= cuts[i] && range.end > cuts[i]) || null;
+      layered.push({
+        text: segment.text.slice(cuts[i] - segmentStart, cuts[i + 1] - segmentStart),
+        range: segment.range,
+        // Only the first piece of a split citation keeps its element id
+        id: i === 0 ? segment.id : null,
+        annotation,
+      });
+    }
+  });
+  return layered;
+};
@@ -0,0 +1,47 @@
+// Citation markers inside answer text, e.g. "[1]", "[2, 3]", "[p.12]" or "[page 12]".
+// Numbers refer to entries of cited_pages_metadata (1-based); "p." forms
+// refer to the first citation on that page.
+const MARKER_REGEX = /\[\s*(?:(p(?:age|g)?\.?)\s*(\d+)|(\d+(?:\s*[,;]\s*\d+)*))\s*\]/gi;
+
+const resolveMarker = (match, citations) => {
+  const [, pagePrefix, pageNumber, indexList] = match;
+
+  if (pagePrefix) {
+    const page = Number(pageNumber);
+    const citationIndex = citations.findIndex((c) => c && c.page === page);
+    return citationIndex === -1
+      ? []
+      : [{ label: `p.${page}`, citation: citations[citationIndex], citationIndex }];
+  }
+
+  const refs = indexList.split(/[,;]/).map((n) => Number(n.trim()));
+  const resolved = refs
+    .filter((n) => n >= 1 && n <= citations.length && citations[n - 1])
+    .map((n) => ({ label: String(n), citation: citations[n - 1], citationIndex: n - 1 }));
+  // Only treat "[1, 2]" as markers if every number resolves
+  return resolved.length === refs.length ? resolved : [];
+};
+
+// Split text into plain text and citation segments:
+// [{ type: 'text', text } | { type: 'citation', label, citation, citationIndex }]
+// Markers that don't resolve to a citation (yet, while streaming) stay text.
+export const parseCitationMarkers = (text, citations = []) => {
+  const segments = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(MARKER_REGEX)) {
+    const markers = resolveMarker(match, citations);
+    if (markers.length === 0) continue;
+
+    if (match.index > cursor) {
+      segments.push({ type: 'text', text: text.slice(cursor, match.index) });
+    }
+    markers.forEach((marker) => segments.push({ type: 'citation', ...marker }));
+    cursor = match.index + match[0].length;
+  }
+
+  if (cursor < text.length) {
+    segments.push({ type: 'text', text: text.slice(cursor) });
+  }
+  return segments;
+};
@@ -0,0 +1,57 @@
+// Match citations against the pages of an open document in the text worker.
+//
+// A quote may start near the bottom of one page and carry on at the top of
+// the next, so a citation is matched with the text of the pages either side
+// of its cited page too (see matchOnPages in textTasks.js).
+import { getPageText } from "./pdfText";
+import { runTextTask } from "./textWorkerClient";
+import { citationQuotesNearPage } from "./citationHighlights";
+
+// { page: text } for the given pages that exist in the document
+const loadPageTexts = async (pdf, pageNumbers, known = {}) => {
+  const pages = { ...known };
+  const wanted = [...new Set(pageNumbers)].filter(
+    (page) => page >= 1 && page <= pdf.numPages && pages[page] === undefined
+  );
+  await Promise.all(
+    wanted.map(async (page) => {
+      pages[page] = (await getPageText(pdf, page)).text;
+    })
+  );
+  return pages;
+};
+
+const withNeighbours = (page) => [page - 1, page, page + 1];
+
+// Highlight ranges on one page for the citations on it or next to it, as
+// [{ start, end, className, citationIndex }] where citationIndex is the
+// position of the citation in citedPagesMetadata
+export const findCitationRangesForPage = async (pdf, pageNumber, pageText, citedPagesMetadata, options) => {
+  const quotes = citationQuotesNearPage(pageNumber, citedPagesMetadata);
+  if (!pdf || !pageText || quotes.length === 0) return [];
+
+  const pages = await loadPageTexts(pdf, quotes.flatMap(({ page }) => withNeighbours(page)), {
+    [pageNumber]: pageText,
+  });
+  return runTextTask('matchCitations', { pageNumber, quotes, pages }, options);
+};
+
+// { method, score, ranges } for one citation, each range with its page
+export const matchCitation = async (pdf, citation, options) => {
+  const quote = citation.quote || citation.content_preview || '';
+  const pages = await loadPageTexts(pdf, withNeighbours(citation.page));
+  return runTextTask('matchCitation', { quote, page: citation.page, pages }, options);
+};
+
+// The page a citation's quote starts on: the cited page unless the quote
+// was found running onto it from the page before
+export const citationStartPage = async (pdf, citation) => {
+  if (!pdf || !citation) return citation?.page;
+  try {
+    const { ranges } = await matchCitation(pdf, citation);
+    return ranges.length > 0 ? Math.min(...ranges.map((range) => range.page)) : citation.page;
+  } catch (err) {
+    console.warn("Could not locate the citation:", err);
+    return citation.page;
+  }
+};
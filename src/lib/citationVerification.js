@@ -0,0 +1,127 @@
+// Check the quotes of an answer's citations against the documents they cite.
+//
+// The quick check looks for each quote on its cited page only. The full
+// check also searches the rest of the document when the quote is not on
+// that page, which tells a wrong page number apart from a quote that is not
+// in the document at all (e.g. made up by the model). Results line up with
+// the citation list: [{ status, score?, foundPage?, reason?, scope,
+// unreadPages? }]. Scanned pages are only checked once their text has been
+// read (OCR) in the viewer; unreadPages lists those the full check skipped.
+import { openPdfDocument } from "./pdfjs";
+import { getPageText } from "./pdfText";
+import { matchQuoteOffThread } from "./textWorkerClient";
+import { findDocumentForCitation } from "./caseDocuments";
+import { matchCitation } from "./citationMatching";
+
+export const CHECK_STATUS = {
+  EXACT: 'exact',
+  FUZZY: 'fuzzy',
+  SENTENCE: 'sentence',
+  NOT_ON_PAGE: 'not_on_page',
+  WRONG_PAGE: 'wrong_page',
+  NOT_IN_DOCUMENT: 'not_in_document',
+  UNCHECKED: 'unchecked',
+};
+
+// Statuses that mean the quote is on the cited page
+export const isVerifiedCheck = (check) =>
+  [CHECK_STATUS.EXACT, CHECK_STATUS.FUZZY, CHECK_STATUS.SENTENCE].includes(check?.status);
+
+// A quote missing only from the pages that could be read isn't flagged
+export const isFlaggedCheck = (check) =>
+  check?.status === CHECK_STATUS.WRONG_PAGE ||
+  (check?.status === CHECK_STATUS.NOT_IN_DOCUMENT && !check.unreadPages?.length);
+
+// Left unchecked only because the cited document wasn't loaded; worth
+// checking again once it is
+export const isAwaitingDocument = (check) =>
+  check?.status === CHECK_STATUS.UNCHECKED && Boolean(check.awaitingDocument);
+
+// Documents opened for checking, kept for the next answer; least recently
+// used first, and closed once more than MAX_OPEN_DOCUMENTS are open
+const MAX_OPEN_DOCUMENTS = 3;
+const openDocuments = new Map();
+
+const getDocument = (file) => {
+  if (openDocuments.has(file)) {
+    const pending = openDocuments.get(file);
+    openDocuments.delete(file);
+    openDocuments.set(file, pending);
+    return pending;
+  }
+
+  const pending = openPdfDocument(file);
+  pending.catch(() => openDocuments.delete(file));
+  openDocuments.set(file, pending);
+
+  if (openDocuments.size > MAX_OPEN_DOCUMENTS) {
+    const [oldestFile, oldest] = openDocuments.entries().next().value;
+    openDocuments.delete(oldestFile);
+    oldest.then((pdf) => pdf.destroy()).catch(() => {});
+  }
+  return pending;
+};
+
+// Only scattered words of the quote were found: treat as not found
+const isFound = (match) => match.method !== 'words';
+
+// Prefer exact matches, then the best fuzzy score, then sentence fragments
+const matchRank = (match) =>
+  match.method === 'exact' ? 3 : match.method === 'fuzzy' ? 1 + match.score : 1;
+
+const checkCitation = async (citation, documents, fullDocument) => {
+  const quote = citation.quote || citation.content_preview || '';
+  if (quote.length < 10) return { status: CHECK_STATUS.UNCHECKED, reason: 'The citation has no quote to check' };
+
+  const doc = findDocumentForCitation(documents, citation);
+  if (!doc?.file) {
+    return { status: CHECK_STATUS.UNCHECKED, reason: 'The cited document is not loaded', awaitingDocument: true };
+  }
+
+  const pdf = await getDocument(doc.file);
+  const scope = fullDocument ? 'document' : 'page';
+
+  const onDocument = citation.page >= 1 && citation.page <= pdf.numPages;
+  if (onDocument) {
+    // Also finds a quote that runs over the break with the next or previous page
+    const match = await matchCitation(pdf, { ...citation, quote });
+    if (isFound(match)) return { status: match.method, score: match.score, scope };
+  }
+  if (!fullDocument) {
+    if (onDocument && (await getPageText(pdf, citation.page)).needsOcr) {
+      return { status: CHECK_STATUS.UNCHECKED, reason: 'The cited page is scanned and its text has not been read yet' };
+    }
+    return { status: CHECK_STATUS.NOT_ON_PAGE, scope };
+  }
+
+  let best = null;
+  const unreadPages = [];
+  for (let page = 1; page <= pdf.numPages; page++) {
+    const { text, needsOcr } = await getPageText(pdf, page);
+    if (needsOcr) unreadPages.push(page);
+    if (page === citation.page || needsOcr) continue;
+    const match = await matchQuoteOffThread(text, quote);
+    if (isFound(match) && (!best || matchRank(match) > matchRank(best.match))) {
+      best = { page, match };
+      if (match.method === 'exact') break;
+    }
+  }
+
+  return best
+    ? { status: CHECK_STATUS.WRONG_PAGE, foundPage: best.page, score: best.match.score, scope, unreadPages }
+    : { status: CHECK_STATUS.NOT_IN_DOCUMENT, scope, unreadPages };
+};
+
+// Check every citation in turn; one that can't be read is left unchecked
+export const verifyCitations = async (citations, documents, { fullDocument = false } = {}) => {
+  const checks = [];
+  for (const citation of citations) {
+    try {
+      checks.push(await checkCitation(citation, documents, fullDocument));
+    } catch (err) {
+      console.warn("Could not check citation:", err);
+      checks.push({ status: CHECK_STATUS.UNCHECKED, reason: 'The cited document could not be read' });
+    }
+  }
+  return checks;
+};
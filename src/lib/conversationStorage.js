@@ -0,0 +1,39 @@
+// Persist the chat thread in localStorage, one entry per case_id
+const STORAGE_PREFIX = "conversation_";
+
+export const createTurnId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadConversation = (caseId) => {
+  if (!caseId) return [];
+  try {
+    const raw = localStorage.getItem(`${STORAGE_PREFIX}${caseId}`);
+    const turns = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(turns)) return [];
+
+    // A turn that was still in flight when the page unloaded will never finish
+    return turns.map((turn) => {
+      if (turn.status !== "loading" && turn.status !== "streaming") return turn;
+      return turn.answer
+        ? { ...turn, status: "stopped" }
+        : { ...turn, status: "error", error: "This question was interrupted. Please ask again." };
+    });
+  } catch (err) {
+    console.warn("Failed to restore conversation:", err);
+    return [];
+  }
+};
+
+export const saveConversation = (caseId, turns) => {
+  if (!caseId) return;
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${caseId}`, JSON.stringify(turns));
+  } catch (err) {
+    console.warn("Failed to save conversation:", err);
+  }
+};
+
+export const clearConversation = (caseId) => {
+  if (!caseId) return;
+  localStorage.removeItem(`${STORAGE_PREFIX}${caseId}`);
+};
@@ -0,0 +1,110 @@
+import { getPageText } from "./pdfText";
+import { tokenize } from "./quoteMatcher";
+import { preparePageOffThread } from "./textWorkerClient";
+
+const SNIPPET_CONTEXT = 40;
+const MIN_QUERY_LENGTH = 2;
+
+// One index per loaded document, built the first time it is searched
+const searchIndexes = new WeakMap();
+
+// Scanned pages are only searched once their text has been read (OCR) in
+// the viewer; until then their entry has needsOcr and no text
+const indexPage = async (pdf, pageNumber) => {
+  const { text, needsOcr } = await getPageText(pdf, pageNumber);
+  const { words } = await preparePageOffThread(text);
+  return { page: pageNumber, text, words, needsOcr };
+};
+
+// Extract every page and split it into words once. onProgress(done, total) is called
+// as pages are indexed. Scanned pages read since the last search are added.
+export const getSearchIndex = async (pdf, onProgress) => {
+  if (!searchIndexes.has(pdf)) {
+    const build = async () => {
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        pages.push(await indexPage(pdf, pageNumber));
+        if (onProgress) onProgress(pageNumber, pdf.numPages);
+      }
+      return pages;
+    };
+
+    const pending = build();
+    // Allow a retry after a failed build
+    pending.catch(() => searchIndexes.delete(pdf));
+    searchIndexes.set(pdf, pending);
+  }
+
+  const index = await searchIndexes.get(pdf);
+  for (let i = 0; i < index.length; i++) {
+    if (index[i].needsOcr) index[i] = await indexPage(pdf, index[i].page);
+  }
+  return index;
+};
+
+// Pages left out of the index because they are scanned and haven't been read
+export const unreadPages = (index) => index.filter((entry) => entry.needsOcr).map((entry) => entry.page);
+
+// Whether a page word can hold query word k of n, as if the query were found
+// as a substring: all of a word in the middle of the query, the end of a
+// word for its first word and the start of one for its last; anywhere in a
+// word for a query of one word
+const wordMatches = (word, queryWord, k, n) => {
+  if (n === 1) return word.includes(queryWord);
+  if (k === 0) return word.endsWith(queryWord);
+  if (k === n - 1) return word.startsWith(queryWord);
+  return word === queryWord;
+};
+
+// Find every occurrence of query in the index. Query and pages are compared
+// as words, split and folded by quoteMatcher's tokenize like citation quotes
+// are, so ligatures, hyphenated line breaks, punctuation and case don't get
+// in the way. Hits cover whole words of each page's original text.
+export const searchIndex = (index, query) => {
+  const queryWords = tokenize(query || '').map(({ word }) => word);
+  if (queryWords.join('').length < MIN_QUERY_LENGTH) return [];
+
+  const n = queryWords.length;
+  const hits = [];
+
+  index.forEach(({ page, text, words }) => {
+    for (let i = 0; i + n <= words.length; i++) {
+      let k = 0;
+      while (k < n && wordMatches(words[i + k].word, queryWords[k], k, n)) k++;
+      if (k < n) continue;
+
+      const start = words[i].start;
+      const end = words[i + n - 1].end;
+      i += n - 1;
+
+      const before = text.slice(Math.max(0, start - SNIPPET_CONTEXT), start);
+      const after = text.slice(end, end + SNIPPET_CONTEXT);
+
+      hits.push({
+        index: hits.length,
+        page,
+        start,
+        end,
+        snippet: {
+          before: (start > SNIPPET_CONTEXT ? '…' : '') + before.replace(/\s+/g, ' '),
+          match: text.slice(start, end).replace(/\s+/g, ' '),
+          after: after.replace(/\s+/g, ' ') + (end + SNIPPET_CONTEXT < text.length ? '…' : ''),
+        },
+      });
+    }
+  });
+
+  return hits;
+};
+
+// Highlight ranges for the hits on one page, in the same shape as
+// findCitationRangesForPage so both views can draw them
+export const searchRangesForPage = (hits, pageNumber, activeHitIndex) =>
+  (hits || [])
+    .filter((hit) => hit.page === pageNumber)
+    .map((hit) => ({
+      start: hit.start,
+      end: hit.end,
+      searchHitIndex: hit.index,
+      className: hit.index === activeHitIndex ? 'search-hit search-hit-active' : 'search-hit',
+    }));
@@ -0,0 +1,17 @@
+// SHA-256 of a file's contents as hex, used to recognise the same PDF again.
+// Resolves to null where SubtleCrypto is unavailable (non-secure origins).
+const digestHex = async (readData) => {
+  if (!window.crypto?.subtle) return null;
+  try {
+    const digest = await window.crypto.subtle.digest('SHA-256', await readData());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  } catch (err) {
+    console.warn("Could not hash file:", err);
+    return null;
+  }
+};
+
+export const hashFile = (file) => digestHex(() => file.arrayBuffer());
+
+// Same hash for bytes already in memory, e.g. an open PDF.js document's data
+export const hashBytes = (data) => digestHex(() => data);
@@ -0,0 +1,47 @@
+import { getIngestStatus, ServerError } from "./apiClient";
+
+// Stages of a case, as shown in the UI:
+//   idle        no documents yet
+//   uploading   files are being sent to /ingest
+//   processing  the server is indexing them
+//   ready       questions can be asked
+//   failed      ingestion failed; the user can retry
+export const CASE_STATUS = {
+  IDLE: 'idle',
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+const POLL_INTERVAL_MS = 1500;
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+
+// Poll GET /ingest/{case_id} until indexing finishes. `initialStatus` is the
+// response of the ingest call itself, which may already be final. Each
+// intermediate status is passed to onStatus. Resolves to the final status
+// and throws a ServerError if the server reports a failure.
+export const waitForIngestion = async (caseId, { initialStatus, signal, onStatus } = {}) => {
+  let status = initialStatus;
+
+  while (!status || status.status === 'processing' || status.status === 'queued') {
+    if (status) {
+      onStatus?.(status);
+      await wait(POLL_INTERVAL_MS, signal);
+    }
+    status = await getIngestStatus({ caseId, signal });
+  }
+
+  if (status.status === 'failed') {
+    throw new ServerError(status.detail || 'The documents could not be processed', { detail: status.detail });
+  }
+  return status;
+};
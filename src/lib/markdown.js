@@ -0,0 +1,86 @@
+// Markdown rendering for answers.
+//
+// Answers come from the backend as Markdown and may contain raw HTML. The
+// Markdown is converted with marked and the result is always run through
+// DOMPurify with a small whitelist before it reaches the page, so nothing the
+// server sends can add scripts, event handlers or styles.
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+
+const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'sup', 'sub',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  'a',
+];
+
+const ALLOWED_ATTR = ['href', 'title', 'start', 'align'];
+
+const ALLOWED_URI_REGEXP = /^(?:https?:|mailto:|#)/i;
+
+// Own instances so options and hooks don't leak into other users of the libraries
+const marked = new Marked({ gfm: true, breaks: true });
+const purifier = DOMPurify(window);
+
+// Links in answers always open outside the app
+purifier.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+export const sanitizeHtml = (html) =>
+  purifier.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR: [...ALLOWED_ATTR, 'target', 'rel'],
+    ALLOWED_URI_REGEXP,
+  });
+
+// Markdown (or HTML) to sanitized HTML, safe to hand to html-react-parser
+export const renderMarkdown = (text) => {
+  if (!text) return '';
+  return sanitizeHtml(marked.parse(text, { async: false }));
+};
+
+const BLOCK_TYPES = {
+  H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading', H5: 'heading', H6: 'heading',
+  P: 'paragraph', LI: 'listItem', BLOCKQUOTE: 'quote', PRE: 'code',
+};
+
+// Markdown as a flat list of plain-text blocks ({ type, text, ordered?, index? }),
+// for output formats that can't take HTML (DOCX, PDF). Tables become one
+// paragraph per row with cells separated by " | ".
+export const markdownToBlocks = (text) => {
+  const doc = new DOMParser().parseFromString(renderMarkdown(text), 'text/html');
+  doc.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+  const blocks = [];
+
+  const walk = (node) => {
+    Array.from(node.children).forEach((element) => {
+      const type = BLOCK_TYPES[element.tagName];
+      if (element.tagName === 'TR') {
+        blocks.push({
+          type: 'paragraph',
+          text: Array.from(element.children).map((cell) => cell.textContent.trim()).join(' | '),
+        });
+      } else if (type === 'listItem') {
+        const list = element.parentElement;
+        blocks.push({
+          type,
+          ordered: list?.tagName === 'OL',
+          index: Array.from(list?.children || []).indexOf(element) + Number(list?.getAttribute('start') || 1),
+          text: element.textContent.trim(),
+        });
+      } else if (type) {
+        blocks.push({ type, text: type === 'code' ? element.textContent : element.textContent.trim() });
+      } else {
+        walk(element);
+      }
+    });
+  };
+
+  walk(doc.body);
+  return blocks.filter((block) => block.text);
+};
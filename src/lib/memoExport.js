@@ -0,0 +1,322 @@
+// Export answers as a memo: question, answer and a numbered citation list
+// with page numbers, quotes and document metadata, followed by the user's
+// own highlights and notes. Markdown is written
+// directly; DOCX and PDF are built from the same content as plain blocks,
+// with their libraries loaded only when an export is requested.
+import { markdownToBlocks } from "./markdown";
+import { getQuestionMode, DEFAULT_QUESTION_MODE } from "./questionModes";
+import { getAnnotationColor } from "./annotations";
+
+export const EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown (.md)', extension: 'md' },
+  { id: 'docx', label: 'Word (.docx)', extension: 'docx' },
+  { id: 'pdf', label: 'PDF (.pdf)', extension: 'pdf' },
+];
+
+const formatDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+};
+
+// One entry per document, from the metadata citations carry, plus case
+// documents that were never cited
+const collectDocuments = (turns, caseDocuments) => {
+  const byName = new Map();
+  turns.forEach((turn) => {
+    (turn.citedPagesMetadata || []).forEach((citation) => {
+      const key = citation.file_name || citation.document_title || citation.source_id;
+      if (!key || byName.has(key)) return;
+      byName.set(key, {
+        title: citation.document_title || citation.file_name,
+        fileName: citation.file_name || null,
+        author: citation.author || null,
+        creationDate: formatDate(citation.creation_date),
+        totalPages: citation.total_pages || null,
+      });
+    });
+  });
+  caseDocuments.forEach((doc) => {
+    if (!byName.has(doc.name)) {
+      byName.set(doc.name, { title: doc.name, fileName: doc.name, author: null, creationDate: null, totalPages: null });
+    }
+  });
+  return [...byName.values()];
+};
+
+const citationDocumentName = (citation) => citation.document_title || citation.file_name || null;
+
+// Structured results (clauses, parties, dates, risks) as plain list lines
+const resultLines = (result) => {
+  if (!result) return [];
+  const page = (item) => (item.page ? ` (p. ${item.page})` : '');
+  return [
+    ...(result.clauses || []).map((clause) => `${clause.title || clause.type || 'Clause'}${page(clause)}: ${clause.text || clause.summary || ''}`),
+    ...(result.parties || []).map((party) => `Party: ${party.name}${party.role ? `, ${party.role}` : ''}${page(party)}`),
+    ...(result.dates || []).map((entry) => `${entry.date}: ${entry.description || ''}${page(entry)}`),
+    ...(result.risks || []).map((risk) =>
+      `${risk.severity ? `[${risk.severity}] ` : ''}${risk.title || 'Risk'}${page(risk)}: ${risk.explanation || risk.description || ''}`
+    ),
+  ];
+};
+
+// The memo's content, independent of the output format
+export const buildMemo = ({ turns, title, documents = [], annotations = [] }) => {
+  const answered = turns.filter((turn) => turn.answer || turn.result);
+  return {
+    title: title || 'Legal research memo',
+    preparedAt: new Date(),
+    documents: collectDocuments(answered, documents),
+    entries: answered.map((turn) => ({
+      question: turn.question,
+      mode: turn.questionType && turn.questionType !== DEFAULT_QUESTION_MODE
+        ? getQuestionMode(turn.questionType).label
+        : null,
+      askedAt: formatDate(turn.createdAt),
+      selection: turn.selection
+        ? { page: turn.selection.page, quote: turn.selection.text, document: turn.selection.documentName || null }
+        : null,
+      answer: turn.answer || '',
+      incomplete: turn.status === 'stopped',
+      resultLines: resultLines(turn.result),
+      citations: (turn.citedPagesMetadata || []).map((citation, idx) => ({
+        number: idx + 1,
+        page: citation.page,
+        quote: citation.quote || citation.content_preview || '',
+        document: citationDocumentName(citation),
+      })),
+    })),
+    annotations: [...annotations]
+      .sort((a, b) =>
+        (a.documentName || '').localeCompare(b.documentName || '') || a.page - b.page || a.start - b.start
+      )
+      .map((annotation) => ({
+        document: annotation.documentName,
+        page: annotation.page,
+        quote: annotation.quote,
+        note: annotation.note,
+        color: getAnnotationColor(annotation.color).label,
+      })),
+  };
+};
+
+const describeDocument = (doc) =>
+  [
+    doc.fileName && doc.fileName !== doc.title ? doc.fileName : null,
+    doc.author ? `Author: ${doc.author}` : null,
+    doc.creationDate ? `Created: ${doc.creationDate}` : null,
+    doc.totalPages ? `${doc.totalPages} pages` : null,
+  ].filter(Boolean).join('; ');
+
+const describeCitation = (citation) =>
+  `Page ${citation.page}${citation.document ? `, ${citation.document}` : ''}${citation.quote ? `: "${citation.quote}"` : ''}`;
+
+const describeAnnotation = (annotation) =>
+  `${describeCitation(annotation)} (${annotation.color.toLowerCase()})${annotation.note ? ` - ${annotation.note}` : ''}`;
+
+// ---- Markdown ----
+
+export const memoToMarkdown = (memo) => {
+  const lines = [`# ${memo.title}`, '', `_Prepared ${memo.preparedAt.toLocaleString()}_`, ''];
+
+  if (memo.documents.length > 0) {
+    lines.push('## Documents', '');
+    memo.documents.forEach((doc) => {
+      const details = describeDocument(doc);
+      lines.push(`- **${doc.title}**${details ? ` (${details})` : ''}`);
+    });
+    lines.push('');
+  }
+
+  memo.entries.forEach((entry, idx) => {
+    lines.push('---', '', `## ${memo.entries.length > 1 ? `${idx + 1}. ` : ''}Question`, '');
+    lines.push(`> ${entry.question.replace(/\n/g, '\n> ')}`, '');
+    if (entry.selection) lines.push(`Asked about: ${describeCitation(entry.selection)}`, '');
+    if (entry.mode || entry.askedAt) {
+      lines.push(`_${[entry.mode, entry.askedAt].filter(Boolean).join(' · ')}_`, '');
+    }
+
+    lines.push('### Answer', '');
+    if (entry.resultLines.length > 0) {
+      entry.resultLines.forEach((line) => lines.push(`- ${line}`));
+      lines.push('');
+    }
+    if (entry.answer) lines.push(entry.answer, '');
+    if (entry.incomplete) lines.push('_The answer was stopped before it was complete._', '');
+
+    if (entry.citations.length > 0) {
+      lines.push('### Citations', '');
+      entry.citations.forEach((citation) => lines.push(`${citation.number}. ${describeCitation(citation)}`));
+      lines.push('');
+    }
+  });
+
+  if (memo.annotations.length > 0) {
+    lines.push('---', '', '## Highlights and notes', '');
+    memo.annotations.forEach((annotation) => lines.push(`- ${describeAnnotation(annotation).replace(/\n/g, ' ')}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+// ---- Shared block layout for DOCX and PDF ----
+
+const memoToBlocks = (memo) => {
+  const blocks = [
+    { type: 'title', text: memo.title },
+    { type: 'meta', text: `Prepared ${memo.preparedAt.toLocaleString()}` },
+  ];
+
+  if (memo.documents.length > 0) {
+    blocks.push({ type: 'heading', text: 'Documents' });
+    memo.documents.forEach((doc) => {
+      const details = describeDocument(doc);
+      blocks.push({ type: 'listItem', text: `${doc.title}${details ? ` (${details})` : ''}` });
+    });
+  }
+
+  memo.entries.forEach((entry, idx) => {
+    blocks.push({ type: 'heading', text: `${memo.entries.length > 1 ? `${idx + 1}. ` : ''}Question` });
+    blocks.push({ type: 'quote', text: entry.question });
+    if (entry.selection) blocks.push({ type: 'paragraph', text: `Asked about: ${describeCitation(entry.selection)}` });
+    if (entry.mode || entry.askedAt) {
+      blocks.push({ type: 'meta', text: [entry.mode, entry.askedAt].filter(Boolean).join(' · ') });
+    }
+
+    blocks.push({ type: 'subheading', text: 'Answer' });
+    entry.resultLines.forEach((line) => blocks.push({ type: 'listItem', text: line }));
+    markdownToBlocks(entry.answer).forEach((block) =>
+      blocks.push(
+        block.type === 'listItem'
+          ? { type: 'listItem', text: block.ordered ? `${block.index}. ${block.text}` : block.text, numbered: block.ordered }
+          : block.type === 'heading'
+            ? { type: 'paragraph', text: block.text, bold: true }
+            : block
+      )
+    );
+    if (entry.incomplete) blocks.push({ type: 'meta', text: 'The answer was stopped before it was complete.' });
+
+    if (entry.citations.length > 0) {
+      blocks.push({ type: 'subheading', text: 'Citations' });
+      entry.citations.forEach((citation) =>
+        blocks.push({ type: 'listItem', text: `${citation.number}. ${describeCitation(citation)}`, numbered: true })
+      );
+    }
+  });
+
+  if (memo.annotations.length > 0) {
+    blocks.push({ type: 'heading', text: 'Highlights and notes' });
+    memo.annotations.forEach((annotation) => blocks.push({ type: 'listItem', text: describeAnnotation(annotation) }));
+  }
+
+  return blocks;
+};
+
+// ---- DOCX ----
+
+export const memoToDocx = async (memo) => {
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel } = await import('docx');
+
+  const paragraphFor = (block) => {
+    switch (block.type) {
+      case 'title':
+        return new Paragraph({ text: block.text, heading: HeadingLevel.TITLE });
+      case 'heading':
+        return new Paragraph({ text: block.text, heading: HeadingLevel.HEADING_1, spacing: { before: 240 } });
+      case 'subheading':
+        return new Paragraph({ text: block.text, heading: HeadingLevel.HEADING_2 });
+      case 'meta':
+        return new Paragraph({ children: [new TextRun({ text: block.text, italics: true, color: '666666' })] });
+      case 'quote':
+        return new Paragraph({ children: [new TextRun({ text: block.text, italics: true })], indent: { left: 720 } });
+      case 'listItem':
+        return block.numbered
+          ? new Paragraph({ text: block.text, indent: { left: 360 } })
+          : new Paragraph({ text: block.text, bullet: { level: 0 } });
+      case 'code':
+        return new Paragraph({ children: [new TextRun({ text: block.text, font: 'Courier New' })] });
+      default:
+        return new Paragraph({ children: [new TextRun({ text: block.text, bold: !!block.bold })], spacing: { after: 120 } });
+    }
+  };
+
+  const doc = new Document({
+    creator: 'Legal Document Assistant',
+    title: memo.title,
+    sections: [{ children: memoToBlocks(memo).map(paragraphFor) }],
+  });
+  return Packer.toBlob(doc);
+};
+
+// ---- PDF ----
+
+const PDF_MARGIN = 50;
+const PDF_STYLES = {
+  title: { size: 18, style: 'bold', gap: 10 },
+  heading: { size: 14, style: 'bold', gap: 8, before: 10 },
+  subheading: { size: 12, style: 'bold', gap: 6, before: 6 },
+  meta: { size: 9, style: 'italic', gap: 6, color: 100 },
+  quote: { size: 11, style: 'italic', gap: 6, indent: 20 },
+  listItem: { size: 11, style: 'normal', gap: 4, indent: 12 },
+  code: { size: 9, style: 'normal', gap: 6, font: 'courier' },
+  paragraph: { size: 11, style: 'normal', gap: 6 },
+};
+
+export const memoToPdf = async (memo) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  let y = PDF_MARGIN;
+
+  memoToBlocks(memo).forEach((block) => {
+    const style = PDF_STYLES[block.type] || PDF_STYLES.paragraph;
+    const indent = style.indent || 0;
+    const lineHeight = style.size * 1.35;
+
+    pdf.setFont(style.font || 'helvetica', block.bold ? 'bold' : style.style);
+    pdf.setFontSize(style.size);
+    pdf.setTextColor(style.color ?? 0);
+
+    const prefix = block.type === 'listItem' && !block.numbered ? '• ' : '';
+    const lines = pdf.splitTextToSize(prefix + block.text, pageWidth - PDF_MARGIN * 2 - indent);
+    y += style.before || 0;
+
+    lines.forEach((line) => {
+      if (y + lineHeight > pageHeight - PDF_MARGIN) {
+        pdf.addPage();
+        y = PDF_MARGIN;
+      }
+      pdf.text(line, PDF_MARGIN + indent, y + style.size);
+      y += lineHeight;
+    });
+    y += style.gap;
+  });
+
+  return pdf.output('blob');
+};
+
+// ---- Download ----
+
+const slugify = (text) =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'memo';
+
+export const exportMemo = async (memo, formatId) => {
+  const format = EXPORT_FORMATS.find((f) => f.id === formatId) || EXPORT_FORMATS[0];
+  const blob =
+    format.id === 'docx'
+      ? await memoToDocx(memo)
+      : format.id === 'pdf'
+        ? await memoToPdf(memo)
+        : new Blob([memoToMarkdown(memo)], { type: 'text/markdown;charset=utf-8' });
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slugify(memo.title)}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,149 @@
+// In-browser OCR for scanned pages that have no text layer.
+//
+// Tesseract runs as WebAssembly in a Web Worker started by tesseract.js. Its
+// worker script, core and English model are served by the app itself (see the
+// local-assets plugin in vite.config.js), so OCR works offline like PDF.js.
+// Recognised words are returned as PDF.js-style text content in PDF space, so
+// they go through buildPageText, the text layer and the highlight overlays
+// exactly like a real text layer. Results are cached per file hash and page.
+import { hashBytes } from "./fileHash";
+import { loadOcrResult, storeOcrResult } from "./ocrCache";
+
+// Absolute, because the worker resolves them relative to a blob: URL
+const ASSET_URL = new URL(`${import.meta.env.BASE_URL}tesseract/`, window.location.href).href;
+const OCR_LANGUAGE = 'eng';
+const OEM_LSTM_ONLY = 1;
+
+// Render at about 300 dpi (PDF space is 72 per inch), within a bounded canvas
+const OCR_SCALE = 300 / 72;
+const MAX_CANVAS_SIDE = 5000;
+
+// Font entry the synthetic text items refer to
+const OCR_FONT_NAME = 'ocr';
+const OCR_STYLES = {
+  [OCR_FONT_NAME]: { fontFamily: 'sans-serif', ascent: 0.8, descent: -0.2, vertical: false },
+};
+
+let workerPromise = null;
+
+// Start the Tesseract worker on first use and share it; jobs run one at a time
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const module = await import('tesseract.js');
+      const { createWorker } = module.default || module;
+      return createWorker(OCR_LANGUAGE, OEM_LSTM_ONLY, {
+        workerPath: `${ASSET_URL}worker.min.js`,
+        corePath: `${ASSET_URL}core`,
+        langPath: `${ASSET_URL}lang`,
+      });
+    })();
+    // Let a later call try again instead of caching the failure
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+};
+
+// Content hash of an open document, worked out once per document. Falls back
+// to the PDF's own fingerprint where hashing is unavailable.
+const documentHashes = new WeakMap();
+
+const documentHash = (pdf) => {
+  if (!documentHashes.has(pdf)) {
+    documentHashes.set(
+      pdf,
+      pdf.getData().then(async (data) => (await hashBytes(data)) || `fingerprint:${pdf.fingerprints?.[0]}`)
+    );
+  }
+  return documentHashes.get(pdf);
+};
+
+// Tesseract's lines and words, converted from canvas pixels to PDF space:
+// [{ y, height, words: [{ text, x, width }] }] where y is the bottom
+// of the line, as for a text item's baseline
+const recognizeLines = async (page) => {
+  const pageSize = page.getViewport({ scale: 1 });
+  const scale = Math.min(OCR_SCALE, MAX_CANVAS_SIDE / Math.max(pageSize.width, pageSize.height));
+  const viewport = page.getViewport({ scale });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+
+  try {
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    const worker = await getWorker();
+    const { data } = await worker.recognize(canvas, {}, { blocks: true });
+
+    const toPdfBox = ({ x0, y0, x1, y1 }) => {
+      const [ax, ay] = viewport.convertToPdfPoint(x0, y0);
+      const [bx, by] = viewport.convertToPdfPoint(x1, y1);
+      return { left: Math.min(ax, bx), right: Math.max(ax, bx), bottom: Math.min(ay, by), top: Math.max(ay, by) };
+    };
+
+    const lines = [];
+    (data.blocks || []).forEach((block) => {
+      block.paragraphs.forEach((paragraph) => {
+        paragraph.lines.forEach((line) => {
+          const words = line.words
+            .filter((word) => word.text.trim())
+            .map((word) => {
+              const box = toPdfBox(word.bbox);
+              return { text: word.text.trim(), x: box.left, width: box.right - box.left };
+            });
+          if (words.length === 0) return;
+
+          const box = toPdfBox(line.bbox);
+          lines.push({ y: box.bottom, height: box.top - box.bottom, words });
+        });
+      });
+    });
+    return lines;
+  } finally {
+    // Free the canvas memory right away rather than waiting for GC
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+};
+
+// One text item per word, all sharing their line's height and baseline so
+// buildPageText keeps each line together. Words but the last in a line carry
+// their trailing space.
+const toTextContent = (lines) => ({
+  items: lines.flatMap((line) =>
+    line.words.map((word, index) => {
+      const isLast = index === line.words.length - 1;
+      return {
+        str: isLast ? word.text : `${word.text} `,
+        dir: 'ltr',
+        width: word.width,
+        height: line.height,
+        transform: [line.height, 0, 0, line.height, word.x, line.y],
+        fontName: OCR_FONT_NAME,
+        hasEOL: isLast,
+      };
+    })
+  ),
+  styles: OCR_STYLES,
+});
+
+// Pages are rendered and recognised one at a time, so scanning through a long
+// document doesn't hold many page-sized canvases at once
+let queue = Promise.resolve();
+
+// Text content for a page recognised from its image, from the cache when the
+// same file's page was recognised before. With `cachedOnly`, null unless it was.
+export const recognizePage = async (pdf, page, { cachedOnly = false } = {}) => {
+  const hash = await documentHash(pdf);
+  const cached = await loadOcrResult(hash, page.pageNumber);
+  if (cached) return toTextContent(cached);
+  if (cachedOnly) return null;
+
+  const job = queue.then(() => recognizeLines(page));
+  queue = job.catch(() => {});
+  const lines = await job;
+  await storeOcrResult(hash, page.pageNumber, lines);
+  return toTextContent(lines);
+};
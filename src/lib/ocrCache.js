@@ -0,0 +1,93 @@
+// OCR results in IndexedDB, so a scanned page is only recognised once.
+//
+// Entries are keyed by the PDF's content hash and page number and hold the
+// recognised lines and words in PDF space. The oldest entries are dropped
+// once there are more than MAX_CACHED_PAGES. Failures are logged and treated
+// as a cache miss: the page is then simply recognised again.
+
+const DB_NAME = 'legal-assistant-ocr';
+const DB_VERSION = 1;
+const STORE = 'pages';
+const MAX_CACHED_PAGES = 2000;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: ['hash', 'page'] });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction and resolve with its result
+const run = async (mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    let result;
+    request.onsuccess = () => {
+      result = request.result;
+    };
+    tx.oncomplete = () => resolve(result);
+    tx.onabort = () => reject(tx.error || request.error);
+    tx.onerror = () => reject(tx.error || request.error);
+  });
+};
+
+const evictOldest = async () => {
+  const count = await run('readonly', (store) => store.count());
+  let excess = count - MAX_CACHED_PAGES;
+  if (excess <= 0) return;
+
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const request = tx.objectStore(STORE).index('createdAt').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && excess-- > 0) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// The stored result for a page, or null
+export const loadOcrResult = async (hash, page) => {
+  try {
+    const entry = await run('readonly', (store) => store.get([hash, page]));
+    return entry ? entry.result : null;
+  } catch (err) {
+    console.warn("Could not read cached OCR result:", err);
+    return null;
+  }
+};
+
+export const storeOcrResult = async (hash, page, result) => {
+  try {
+    await run('readwrite', (store) => store.put({ hash, page, result, createdAt: Date.now() }));
+    await evictOldest();
+  } catch (err) {
+    console.warn("Could not cache OCR result:", err);
+  }
+};
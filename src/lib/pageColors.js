@@ -0,0 +1,15 @@
+// Assign a consistent color for each page
+const colors = [
+  "bg-yellow-300",
+  "bg-green-300",
+  "bg-blue-300",
+  "bg-purple-300",
+  "bg-pink-300",
+  "bg-orange-300",
+  "bg-red-300",
+  "bg-indigo-300",
+  "bg-teal-300",
+  "bg-gray-300",
+];
+
+export const getColorForPage = (page) => colors[(page - 1) % colors.length];
@@ -0,0 +1,178 @@
+// Local copies of uploaded PDFs in IndexedDB, so the viewer survives a reload.
+//
+// Entries are keyed by case_id and the file's content hash. Whole cases are
+// evicted least-recently-used first once the store grows past
+// MAX_STORED_BYTES, or when the browser reports the quota as exceeded. When
+// each case was last used is kept in a store of its own, so opening a case
+// doesn't rewrite its files.
+
+const DB_NAME = 'legal-assistant';
+const DB_VERSION = 2;
+const STORE = 'pdfs';
+// { caseId, lastUsed }
+const CASES_STORE = 'cases';
+const MAX_STORED_BYTES = 500 * 1024 * 1024;
+
+export class StorageQuotaError extends Error {
+  constructor(message = 'Browser storage is full') {
+    super(message);
+    this.name = 'StorageQuotaError';
+  }
+}
+
+// Hash when we have one; name and size otherwise
+export const documentKey = (doc) => doc.hash || `${doc.name}:${doc.size}`;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(STORE, { keyPath: ['caseId', 'key'] });
+          store.createIndex('caseId', 'caseId');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(CASES_STORE, { keyPath: 'caseId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const isQuotaError = (err) =>
+  err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+
+// Run one request on a store in its own transaction and resolve with its result
+const run = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    let result;
+    request.onsuccess = () => {
+      result = request.result;
+    };
+    tx.oncomplete = () => resolve(result);
+    tx.onabort = () => reject(tx.error || request.error);
+    tx.onerror = () => reject(tx.error || request.error);
+  });
+};
+
+const getAllEntries = () => run(STORE, 'readonly', (store) => store.getAll());
+
+const markCaseUsed = (caseId) =>
+  run(CASES_STORE, 'readwrite', (store) => store.put({ caseId, lastUsed: Date.now() }));
+
+export const deleteCasePdfs = async (caseId) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE, CASES_STORE], 'readwrite');
+    tx.objectStore(CASES_STORE).delete(caseId);
+    const request = tx.objectStore(STORE).index('caseId').openCursor(IDBKeyRange.only(caseId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Remove the least recently used cases (never `keepCaseId`) until
+// `bytesNeeded` more fit under the budget. Returns whether anything was evicted.
+const evictFor = async (bytesNeeded, keepCaseId) => {
+  const [entries, usage] = await Promise.all([
+    getAllEntries(),
+    run(CASES_STORE, 'readonly', (store) => store.getAll()),
+  ]);
+  const lastUsed = new Map(usage.map((record) => [record.caseId, record.lastUsed]));
+  const cases = new Map();
+  entries.forEach((entry) => {
+    // Entries stored before cases were tracked carry their own lastUsed
+    const summary = cases.get(entry.caseId) || {
+      caseId: entry.caseId,
+      bytes: 0,
+      lastUsed: lastUsed.get(entry.caseId) || 0,
+    };
+    summary.bytes += entry.size || 0;
+    summary.lastUsed = Math.max(summary.lastUsed, entry.lastUsed || 0);
+    cases.set(entry.caseId, summary);
+  });
+
+  let total = [...cases.values()].reduce((sum, summary) => sum + summary.bytes, 0);
+  const candidates = [...cases.values()]
+    .filter((summary) => summary.caseId !== keepCaseId)
+    .sort((a, b) => a.lastUsed - b.lastUsed);
+
+  let evicted = false;
+  for (const summary of candidates) {
+    if (total + bytesNeeded <= MAX_STORED_BYTES) break;
+    await deleteCasePdfs(summary.caseId);
+    total -= summary.bytes;
+    evicted = true;
+  }
+  return evicted;
+};
+
+// Keep a copy of a document's file for this case. Throws StorageQuotaError
+// when it doesn't fit even after evicting older cases.
+export const storePdf = async (caseId, doc) => {
+  const entry = {
+    caseId,
+    key: documentKey(doc),
+    hash: doc.hash || null,
+    name: doc.name,
+    size: doc.size,
+    type: doc.file.type || 'application/pdf',
+    blob: doc.file,
+  };
+  if (entry.size > MAX_STORED_BYTES) throw new StorageQuotaError('The file is too large to keep locally');
+
+  await evictFor(entry.size, caseId);
+  try {
+    await run(STORE, 'readwrite', (store) => store.put(entry));
+  } catch (err) {
+    if (!isQuotaError(err)) throw err;
+    // The browser's own limit is lower than ours; free whatever else we can
+    if (!(await evictFor(MAX_STORED_BYTES, caseId))) throw new StorageQuotaError();
+    try {
+      await run(STORE, 'readwrite', (store) => store.put(entry));
+    } catch (retryErr) {
+      throw isQuotaError(retryErr) ? new StorageQuotaError() : retryErr;
+    }
+  }
+  await markCaseUsed(caseId);
+};
+
+// Stored files of a case as [{ key, hash, name, size, file }], marking the
+// case as recently used
+export const loadCasePdfs = async (caseId) => {
+  const entries = await run(STORE, 'readonly', (store) => store.index('caseId').getAll(IDBKeyRange.only(caseId)));
+  if (entries.length > 0) await markCaseUsed(caseId);
+
+  return entries.map((entry) => ({
+    key: entry.key,
+    hash: entry.hash,
+    name: entry.name,
+    size: entry.size,
+    file: new File([entry.blob], entry.name, { type: entry.type }),
+  }));
+};
@@ -0,0 +1,76 @@
+// Page text of open PDF.js documents. PDF.js extracts the text items; they
+// are laid out into page text by buildPageText (textLayout.js) in the text
+// worker.
+import { recognizePage } from "./ocr";
+import { buildPageTextOffThread } from "./textWorkerClient";
+
+const hasText = (textContent) => textContent.items.some((item) => item.str?.trim());
+
+// Extracted text is cached per document so that pages scrolled back into
+// view, or shared between views, are not extracted twice. The cache is
+// bounded so long documents don't keep every page's items in memory.
+const MAX_CACHED_PAGES = 60;
+// pdf -> Map(pageNumber -> { pending, ocr })
+const pageTextCache = new WeakMap();
+
+const extractPageText = async (pdf, pageNumber, runOcr) => {
+  const page = await pdf.getPage(pageNumber);
+  let textContent = await page.getTextContent();
+  let ocr = false;
+  let needsOcr = false;
+
+  // A scanned page: its text is recognised in the page image, or taken
+  // from an earlier recognition when OCR wasn't asked for
+  if (!hasText(textContent)) {
+    try {
+      const recognized = await recognizePage(pdf, page, { cachedOnly: !runOcr });
+      if (recognized) {
+        textContent = recognized;
+        ocr = true;
+      }
+    } catch (err) {
+      console.warn(`OCR failed on page ${pageNumber}:`, err);
+    }
+    needsOcr = !ocr;
+  }
+
+  return { ...(await buildPageTextOffThread(textContent)), textContent, ocr, needsOcr };
+};
+
+// { text, itemOffsets, textContent, ocr, needsOcr } for a page. OCR is slow
+// (seconds a page), so it only runs for a scanned page when `ocr` is set, as
+// it is by the views showing the page. Other callers get the text of scanned
+// pages recognised before and `needsOcr` for the rest, whose text is empty.
+export const getPageText = (pdf, pageNumber, { ocr = false } = {}) => {
+  let cache = pageTextCache.get(pdf);
+  if (!cache) {
+    cache = new Map();
+    pageTextCache.set(pdf, cache);
+  }
+
+  const cached = cache.get(pageNumber);
+  if (cached) {
+    // Refresh the entry so it is evicted last
+    cache.delete(pageNumber);
+    cache.set(pageNumber, cached);
+    if (cached.ocr || !ocr) return cached.pending;
+  }
+
+  // A page extracted without OCR is extracted again if it turned out scanned
+  const pending = cached
+    ? cached.pending.then((result) => (result.needsOcr ? extractPageText(pdf, pageNumber, true) : result))
+    : extractPageText(pdf, pageNumber, ocr);
+  const entry = { pending, ocr };
+
+  // Don't cache failures
+  pending.catch(() => {
+    if (cache.get(pageNumber) === entry) cache.delete(pageNumber);
+  });
+
+  cache.set(pageNumber, entry);
+  if (cache.size > MAX_CACHED_PAGES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return pending;
+};
@@ -0,0 +1,55 @@
+// Checks run on a file before it is added to a case. Everything is done
+// locally so a bad file is rejected before any upload starts.
+
+// How much of each end of the file to scan for the trailer / encryption dictionary
+const SCAN_BYTES = 64 * 1024;
+
+const readText = async (blob) => {
+  const buffer = await blob.arrayBuffer();
+  // latin1 keeps every byte as one character, so PDF keywords survive as-is
+  return new TextDecoder('latin1').decode(buffer);
+};
+
+export const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let i = 0;
+  while (size >= 1024 && i < units.length - 1) {
+    size /= 1024;
+    i++;
+  }
+  return `${size.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+};
+
+// Resolve to an error message, or null if the file can be uploaded.
+// Encryption is detected from the /Encrypt entry of the trailer, which sits
+// at the end of the file (or near the start for linearized PDFs).
+export const validatePdfFile = async (file, { maxBytes } = {}) => {
+  const looksLikePdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+  if (!looksLikePdf) {
+    return `"${file.name}" is not a PDF file.`;
+  }
+  if (file.size === 0) {
+    return `"${file.name}" is empty.`;
+  }
+  if (maxBytes && file.size > maxBytes) {
+    return `"${file.name}" is ${formatBytes(file.size)}; the limit is ${formatBytes(maxBytes)}.`;
+  }
+
+  try {
+    const head = await readText(file.slice(0, SCAN_BYTES));
+    if (!head.startsWith('%PDF-')) {
+      return `"${file.name}" is not a valid PDF file.`;
+    }
+
+    const tail = file.size > SCAN_BYTES ? await readText(file.slice(-SCAN_BYTES)) : '';
+    if (/\/Encrypt\b/.test(head) || /\/Encrypt\b/.test(tail)) {
+      return `"${file.name}" is encrypted or password-protected. Remove the protection and try again.`;
+    }
+  } catch (err) {
+    console.error("Error reading file:", err);
+    return `"${file.name}" could not be read.`;
+  }
+
+  return null;
+};
@@ -0,0 +1,68 @@
+// PDF.js from the bundled pdfjs-dist. The library, its worker, cMaps and
+// standard fonts are all served by the app itself, so documents open without
+// any network access and nothing about them reaches a third party.
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+
+let pdfjsLib = null;
+let loadingPromise = null;
+
+// Copied out of pdfjs-dist by the local-assets plugin in vite.config.js
+export const CMAP_URL = `${import.meta.env.BASE_URL}pdfjs/cmaps/`;
+export const STANDARD_FONT_DATA_URL = `${import.meta.env.BASE_URL}pdfjs/standard_fonts/`;
+
+// When its worker can't start (e.g. blocked by a Content-Security-Policy),
+// PDF.js runs the worker code in the page instead, fetching it through this
+// getter the first time. Hand it the bundled worker module rather than let it
+// inject a script tag.
+const fallBackToBundledWorker = (lib) => {
+  let handler = null;
+  Object.defineProperty(lib.PDFWorker, '_setupFakeWorkerGlobal', {
+    configurable: true,
+    get() {
+      if (!handler) {
+        console.warn('PDF.js worker could not start; parsing PDFs on the main thread');
+        // Sets window.pdfjsWorker
+        handler = import('pdfjs-dist/build/pdf.worker.entry').then(() => window.pdfjsWorker.WorkerMessageHandler);
+      }
+      return handler;
+    },
+  });
+};
+
+// Initialize PDF.js once and share the library between viewer components.
+// Concurrent callers wait for the same load.
+export const initPdfJs = () => {
+  if (!loadingPromise) {
+    loadingPromise = (async () => {
+      const module = await import('pdfjs-dist');
+      const lib = module.default || module;
+      lib.GlobalWorkerOptions.workerSrc = workerUrl;
+      fallBackToBundledWorker(lib);
+
+      pdfjsLib = lib;
+      return lib;
+    })();
+    // Let a later call try again instead of caching the failure
+    loadingPromise.catch(() => {
+      loadingPromise = null;
+    });
+  }
+  return loadingPromise;
+};
+
+export const getPdfJs = () => pdfjsLib;
+
+// Options every getDocument call needs for fully local loading
+export const documentOptions = (data) => ({
+  data,
+  cMapUrl: CMAP_URL,
+  cMapPacked: true,
+  standardFontDataUrl: STANDARD_FONT_DATA_URL,
+});
+
+// Open a PDF file as a PDF.js document, outside of the viewer
+export const openPdfDocument = async (file) => {
+  const lib = await initPdfJs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  return lib.getDocument(documentOptions(data)).promise;
+};
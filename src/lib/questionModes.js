@@ -0,0 +1,80 @@
+// Question modes, sent to /ask as question_type. Structured modes may get
+// their results back as lists next to the answer text (see pickStructuredResult).
+export const QUESTION_MODES = [
+  {
+    id: 'general_question',
+    label: 'Ask',
+    placeholder: 'Ask a question...',
+  },
+  {
+    id: 'clause_extraction',
+    label: 'Clauses',
+    placeholder: 'Which clauses? e.g. termination, indemnity, governing law',
+    defaultQuestion: 'Extract the key clauses from the documents.',
+  },
+  {
+    id: 'summarize',
+    label: 'Summarize',
+    placeholder: 'Optional: what should the summary focus on?',
+    defaultQuestion: 'Summarize the documents.',
+  },
+  {
+    id: 'parties_dates',
+    label: 'Parties & dates',
+    placeholder: 'Optional: narrow down, e.g. notice deadlines',
+    defaultQuestion: 'List the parties and the key dates.',
+  },
+  {
+    id: 'risk_review',
+    label: 'Risk review',
+    placeholder: 'Optional: review from whose side, or which risks?',
+    defaultQuestion: 'Review the documents for legal risks.',
+  },
+];
+
+export const DEFAULT_QUESTION_MODE = QUESTION_MODES[0].id;
+
+export const getQuestionMode = (id) =>
+  QUESTION_MODES.find((mode) => mode.id === id) || QUESTION_MODES[0];
+
+// Questions offered for text selected in the viewer. The selection itself
+// goes to /ask as context; these only pre-fill the question and its mode.
+export const SELECTION_ACTIONS = [
+  {
+    id: 'ask',
+    label: 'Ask about this',
+    question: 'What does this mean?',
+    questionType: 'general_question',
+  },
+  {
+    id: 'explain',
+    label: 'Explain',
+    question: 'Explain this passage in plain language, including its legal effect.',
+    questionType: 'general_question',
+  },
+  {
+    id: 'related',
+    label: 'Find related clauses',
+    question: 'Find the clauses that relate to or affect this passage.',
+    questionType: 'clause_extraction',
+  },
+];
+
+export const getSelectionAction = (id) =>
+  SELECTION_ACTIONS.find((action) => action.id === id) || SELECTION_ACTIONS[0];
+
+const STRUCTURED_KEYS = ['clauses', 'parties', 'dates', 'risks'];
+
+// Lists returned for structured modes, e.g. { clauses: [{ title, text, page }] }.
+// They may sit at the top level of the response or under `result`.
+// Returns null when the response has none.
+export const pickStructuredResult = (payload) => {
+  if (!payload || typeof payload !== 'object') return null;
+  const source = payload.result && typeof payload.result === 'object' ? payload.result : payload;
+
+  const result = {};
+  STRUCTURED_KEYS.forEach((key) => {
+    if (Array.isArray(source[key])) result[key] = source[key];
+  });
+  return Object.keys(result).length > 0 ? result : null;
+};
@@ -0,0 +1,310 @@
+// Locate a quote in a page's text despite the ways extracted PDF text differs
+// from the quoted passage: ligatures, hyphenated line breaks, smart quotes,
+// spacing, columns interleaved line by line, and OCR misreadings.
+//
+//   findQuote(pageText, quote) -> [{ start, end, method, score }]
+//
+// findQuoteAcrossPages does the same for a quote running over a page break.
+//
+// start and end are offsets into pageText itself. Both texts are compared
+// as sequences of words, and every word keeps the offsets of the characters
+// it came from, so nothing drifts however much normalization removes.
+//
+// method, from best to worst:
+//   'exact'    all words of the quote in order, with nothing in between
+//   'fuzzy'    an alignment of the quote's words where similar words count
+//              and other words may sit in between; score is the share of the
+//              quote it covers, at least MIN_FUZZY_SCORE
+//   'sentence' only some sentences of a longer quote, found one by one;
+//              score is the share of the quote they cover
+//   'words'    nothing but scattered words of the quote; score is 0
+// The array is empty when not even single words were found. Pure: no DOM,
+// no logging.
+
+const MIN_FUZZY_SCORE = 0.8;
+// Words this similar (1 - edit distance / length) count as the same word
+const MIN_WORD_SIMILARITY = 0.75;
+// Unrelated words between two matched ones that still make one range
+const MAX_WORDS_IN_RANGE_GAP = 1;
+const MIN_SENTENCE_WORDS = 5;
+const MAX_FALLBACK_WORDS = 15;
+
+// Alignment scores: a matched word earns up to MATCH_SCORE, a page word
+// skipped (e.g. from the other column) costs less than a quote word missing
+const MATCH_SCORE = 2;
+const MISMATCH_COST = 1;
+const PAGE_GAP_COST = 0.5;
+const QUOTE_GAP_COST = 1;
+
+// Soft hyphens and zero-width characters vanish inside words
+const INVISIBLE = /[\u00AD\u200B-\u200D\u2060\uFEFF]/;
+const HYPHEN = /[-\u2010\u2011]/;
+const WORD_CHARS = /^[\p{L}\p{N}]+$/u;
+// Whitespace that holds a line break, followed by the rest of a word
+const LINE_BREAK_IN_WORD = /^[ \t]*\r?\n\s*(?=\p{Ll})/u;
+
+// Compare characters without compatibility forms (ligatures, full-width
+// letters), accents or case
+const foldChar = (char) => char.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Split text into words: [{ word, start, end }], word folded for comparison
+// and start/end its span in text
+export const tokenize = (text) => {
+  const words = [];
+  let current = null;
+  const finish = () => {
+    if (current) words.push(current);
+    current = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (INVISIBLE.test(char)) continue;
+
+    const folded = foldChar(char);
+    if (WORD_CHARS.test(folded)) {
+      // A capital right after a lower-case letter starts a new word, as
+      // extraction sometimes drops the space between words ("theCourt")
+      if (current && /\p{Lu}/u.test(char) && /\p{Ll}/u.test(text[current.end - 1])) finish();
+      if (!current) current = { word: '', start: i, end: i };
+      current.word += folded;
+      current.end = i + 1;
+      continue;
+    }
+
+    // A word hyphenated at the end of a line carries on after the break
+    if (current && HYPHEN.test(char)) {
+      const lineBreak = text.slice(i + 1, i + 40).match(LINE_BREAK_IN_WORD);
+      if (lineBreak) {
+        i += lineBreak[0].length;
+        continue;
+      }
+    }
+    finish();
+  }
+  finish();
+  return words;
+};
+
+// The page's words, with an id per distinct word so word similarities can be
+// remembered. Depends only on the page, so it can be reused for every quote.
+export const preparePage = (pageText) => {
+  const words = tokenize(pageText);
+  const ids = new Map();
+  const wordIds = words.map(({ word }) => {
+    if (!ids.has(word)) ids.set(word, ids.size);
+    return ids.get(word);
+  });
+  return { words, wordIds };
+};
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+// 1 for the same word, the similarity of a slightly misread word (OCR noise,
+// plurals), otherwise 0
+const wordSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < 4 || Math.abs(a.length - b.length) > 2) return 0;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= MIN_WORD_SIMILARITY ? similarity : 0;
+};
+
+// Character ranges for runs of matched page words, split wherever more than
+// MAX_WORDS_IN_RANGE_GAP other words come in between
+const rangesForWords = (words, indices) => {
+  const ranges = [];
+  indices.forEach((index, k) => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - indices[k - 1] - 1 <= MAX_WORDS_IN_RANGE_GAP) {
+      last.end = words[index].end;
+    } else {
+      ranges.push({ start: words[index].start, end: words[index].end });
+    }
+  });
+  return ranges;
+};
+
+// Every place the quote's words appear in order with nothing in between
+const findExact = (page, quoteWords) => {
+  const { words } = page;
+  const matches = [];
+  for (let i = 0; i + quoteWords.length <= words.length; i++) {
+    let j = 0;
+    while (j < quoteWords.length && words[i + j].word === quoteWords[j].word) j++;
+    if (j === quoteWords.length) {
+      matches.push({ start: words[i].start, end: words[i + j - 1].end });
+      i += j - 1;
+    }
+  }
+  return matches;
+};
+
+// Best local alignment of the quote's words against the page's words. Returns
+// { score, pageIndices }: the share of the quote matched, and the page words
+// matched to it in order.
+const alignQuote = (page, quoteWords) => {
+  const { words, wordIds } = page;
+  const n = words.length;
+  const m = quoteWords.length;
+  if (n === 0 || m === 0) return { score: 0, pageIndices: [] };
+
+  // Similarity of quote word j to each distinct page word, worked out once
+  const similarities = quoteWords.map(() => new Map());
+  const similarity = (i, j) => {
+    const known = similarities[j];
+    const id = wordIds[i];
+    if (!known.has(id)) known.set(id, wordSimilarity(quoteWords[j].word, words[i].word));
+    return known.get(id);
+  };
+
+  // Smith-Waterman over words, keeping two rows of scores and every move
+  const DIAGONAL = 1;
+  const PAGE_GAP = 2;
+  const QUOTE_GAP = 3;
+  const moves = new Uint8Array((n + 1) * (m + 1));
+  let previous = new Float64Array(m + 1);
+  let row = new Float64Array(m + 1);
+  let best = { score: 0, i: 0, j: 0 };
+
+  for (let i = 1; i <= n; i++) {
+    row[0] = 0;
+    for (let j = 1; j <= m; j++) {
+      const s = similarity(i - 1, j - 1);
+      const diagonal = previous[j - 1] + (s > 0 ? MATCH_SCORE * s : -MISMATCH_COST);
+      const pageGap = previous[j] - PAGE_GAP_COST;
+      const quoteGap = row[j - 1] - QUOTE_GAP_COST;
+
+      let score = 0;
+      let move = 0;
+      if (diagonal > score) [score, move] = [diagonal, DIAGONAL];
+      if (pageGap > score) [score, move] = [pageGap, PAGE_GAP];
+      if (quoteGap > score) [score, move] = [quoteGap, QUOTE_GAP];
+
+      row[j] = score;
+      moves[i * (m + 1) + j] = move;
+      if (score > best.score) best = { score, i, j };
+    }
+    [previous, row] = [row, previous];
+  }
+
+  // Walk back from the best cell, collecting the matched words
+  const pageIndices = [];
+  let matched = 0;
+  let { i, j } = best;
+  while (i > 0 && j > 0) {
+    const move = moves[i * (m + 1) + j];
+    if (move === DIAGONAL) {
+      const s = similarity(i - 1, j - 1);
+      if (s > 0) {
+        matched += s;
+        pageIndices.push(i - 1);
+      }
+      i--;
+      j--;
+    } else if (move === PAGE_GAP) {
+      i--;
+    } else if (move === QUOTE_GAP) {
+      j--;
+    } else {
+      break;
+    }
+  }
+
+  return { score: Math.min(1, matched / m), pageIndices: pageIndices.reverse() };
+};
+
+// The quote's sentences, as runs of its words
+const quoteSentences = (quote, quoteWords) => {
+  const sentences = [];
+  let current = [];
+  quoteWords.forEach((word, k) => {
+    current.push(word);
+    const next = quoteWords[k + 1];
+    const between = next ? quote.slice(word.end, next.start) : '';
+    if (!next || /[.!?;]/.test(between)) {
+      sentences.push(current);
+      current = [];
+    }
+  });
+  return sentences;
+};
+
+const findSentences = (page, quote, quoteWords) => {
+  const sentences = quoteSentences(quote, quoteWords).filter((words) => words.length >= MIN_SENTENCE_WORDS);
+  if (sentences.length < 2) return null;
+
+  let covered = 0;
+  const ranges = [];
+  sentences.forEach((sentenceWords) => {
+    const { score, pageIndices } = alignQuote(page, sentenceWords);
+    if (score < MIN_FUZZY_SCORE) return;
+    covered += score * sentenceWords.length;
+    ranges.push(...rangesForWords(page.words, pageIndices));
+  });
+  return ranges.length > 0 ? { score: covered / quoteWords.length, ranges } : null;
+};
+
+// Every page occurrence of the quote's first few distinct, longer words
+const findWords = (page, quoteWords) => {
+  const wanted = new Set(
+    [...new Set(quoteWords.map(({ word }) => word))].filter((word) => word.length > 3).slice(0, MAX_FALLBACK_WORDS)
+  );
+  return page.words.filter(({ word }) => wanted.has(word)).map(({ start, end }) => ({ start, end }));
+};
+
+const withMethod = (ranges, method, score) =>
+  ranges.sort((a, b) => a.start - b.start).map((range) => ({ ...range, method, score }));
+
+// `page` is preparePage(pageText), for callers matching many quotes on a page
+export const findQuote = (pageText, quote, page = preparePage(pageText)) => {
+  const quoteWords = tokenize(quote || '');
+  if (quoteWords.length === 0 || page.words.length === 0) return [];
+
+  const exact = findExact(page, quoteWords);
+  if (exact.length > 0) return withMethod(exact, 'exact', 1);
+
+  const alignment = alignQuote(page, quoteWords);
+  if (alignment.score >= MIN_FUZZY_SCORE) {
+    return withMethod(rangesForWords(page.words, alignment.pageIndices), 'fuzzy', alignment.score);
+  }
+
+  const sentences = findSentences(page, quote, quoteWords);
+  if (sentences) return withMethod(sentences.ranges, 'sentence', sentences.score);
+
+  return withMethod(findWords(page, quoteWords), 'words', 0);
+};
+
+// findQuote over consecutive pages read as one text, for a quote that runs
+// from one page onto the next. pages are [{ page, text }]; matches come back
+// split at page boundaries as [{ page, start, end, method, score }], with
+// offsets into that page's text.
+export const findQuoteAcrossPages = (pages, quote) => {
+  let joined = '';
+  const spans = pages.map(({ page, text }, k) => {
+    if (k > 0) joined += '\n';
+    const span = { page, start: joined.length, end: joined.length + text.length };
+    joined += text;
+    return span;
+  });
+
+  return findQuote(joined, quote).flatMap((match) =>
+    spans
+      .filter((span) => match.start < span.end && match.end > span.start)
+      .map((span) => ({
+        ...match,
+        page: span.page,
+        start: Math.max(match.start, span.start) - span.start,
+        end: Math.min(match.end, span.end) - span.start,
+      }))
+  );
+};
@@ -0,0 +1,54 @@
+// Turn PDF.js text content into readable page text.
+// Also records where each text item lands in that text so that character
+// ranges (e.g. citation matches) can be mapped back to glyph positions.
+export const buildPageText = (textContent) => {
+  const items = textContent?.items || [];
+  const itemOffsets = new Array(items.length).fill(null);
+
+  // Extract text with proper spacing
+  let extractedText = '';
+  let lastY = null;
+
+  items.forEach((item, index) => {
+    if (!item.str) return;
+
+    const currentY = item.transform ? item.transform[5] : 0;
+
+    // Add line breaks for significant vertical position changes
+    if (lastY !== null && Math.abs(lastY - currentY) > 5) {
+      extractedText += '\n';
+    }
+
+    // Add the text
+    itemOffsets[index] = { start: extractedText.length, end: extractedText.length + item.str.length };
+    extractedText += item.str;
+
+    // Add space if next item is far horizontally or this item doesn't end with space
+    const nextItem = items[index + 1];
+    if (nextItem && nextItem.transform) {
+      const currentX = (item.transform ? item.transform[4] : 0) + (item.width || 0);
+      const nextX = nextItem.transform[4];
+      const sameY = Math.abs(currentY - nextItem.transform[5]) < 2;
+
+      if (sameY && nextX - currentX > 5 && !item.str.endsWith(' ')) {
+        extractedText += ' ';
+      }
+    }
+
+    lastY = currentY;
+  });
+
+  // Trimming the start shifts every offset
+  const leading = extractedText.length - extractedText.trimStart().length;
+  const text = extractedText.trim();
+  const shiftedOffsets = itemOffsets.map((offset) =>
+    offset
+      ? {
+          start: Math.max(0, offset.start - leading),
+          end: Math.min(text.length, offset.end - leading),
+        }
+      : null
+  );
+
+  return { text, itemOffsets: shiftedOffsets };
+};
@@ -0,0 +1,71 @@
+// Map a DOM selection in the viewer back to character offsets in a page's
+// text (as built by buildPageText).
+//
+// Both views mark the element holding a page's text with data-text-page.
+// The text view renders the page text verbatim, so an offset is the length
+// of the text before the selection point. The page view's PDF.js text layer
+// has one span per text item, tagged with data-item-index, which itemOffsets
+// translates to page text positions.
+import { getPageText } from "./pdfText";
+
+const textRootOf = (node) => {
+  const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+  return element?.closest?.("[data-text-page]") || null;
+};
+
+// Text view: characters between the start of root and the boundary point
+const offsetInText = (root, node, offset) => {
+  const before = document.createRange();
+  before.setStart(root, 0);
+  before.setEnd(node, offset);
+  return before.toString().length;
+};
+
+// Page view: the item spans the range touches give the start and end items;
+// a boundary inside a span's text adds its offset within the item
+const offsetsInTextLayer = (root, range, itemOffsets) => {
+  const spans = Array.from(root.querySelectorAll("[data-item-index]")).filter(
+    (span) => range.intersectsNode(span) && itemOffsets[Number(span.dataset.itemIndex)]
+  );
+  if (spans.length === 0) return null;
+
+  const first = spans[0];
+  const last = spans[spans.length - 1];
+  const firstItem = itemOffsets[Number(first.dataset.itemIndex)];
+  const lastItem = itemOffsets[Number(last.dataset.itemIndex)];
+  const within = (span, node) => node.nodeType === Node.TEXT_NODE && span.contains(node);
+
+  const start = firstItem.start + (within(first, range.startContainer) ? range.startOffset : 0);
+  const end = within(last, range.endContainer)
+    ? lastItem.start + range.endOffset
+    : lastItem.end;
+  return { start: Math.min(start, firstItem.end), end: Math.min(end, lastItem.end) };
+};
+
+// { page, start, end, text, pageText } for a selection within one page, or
+// null when it is empty or spans several pages
+export const resolveSelection = async (pdf, range) => {
+  if (!pdf || !range || range.collapsed) return null;
+
+  const root = textRootOf(range.startContainer);
+  if (!root || root !== textRootOf(range.endContainer)) return null;
+
+  const page = Number(root.dataset.textPage);
+  const { text, itemOffsets } = await getPageText(pdf, page);
+
+  const offsets = root.hasAttribute("data-text-layer")
+    ? offsetsInTextLayer(root, range, itemOffsets)
+    : {
+        start: offsetInText(root, range.startContainer, range.startOffset),
+        end: offsetInText(root, range.endContainer, range.endOffset),
+      };
+  if (!offsets) return null;
+
+  // Leave out whitespace picked up at either edge
+  let { start, end } = offsets;
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (end <= start) return null;
+
+  return { page, start, end, text: text.slice(start, end), pageText: text };
+};
@@ -0,0 +1,155 @@
+// The text work run by textWorker.js: building page text from PDF.js text
+// items, normalizing it, and matching citation quotes against it.
+//
+// Longer tasks are generators that yield between units of work (one quote
+// at a time), so a task that is no longer wanted can stop part way through.
+// Normalized pages and match results are cached by page text, so returning
+// to a page or re-rendering it doesn't repeat the work.
+import { buildPageText } from "./textLayout";
+import { matchQuote } from "./citationHighlights";
+import { findQuoteAcrossPages, preparePage } from "./quoteMatcher";
+
+const MAX_CACHED_PAGES = 30;
+// pageText -> { words, matches: Map(quote -> matchQuote result),
+// spans: Map(quote -> matchOnPages result) }, words being worked out when
+// first needed
+const pageCache = new Map();
+
+const pageEntry = (pageText) => {
+  let entry = pageCache.get(pageText);
+  if (entry) {
+    // Refresh the entry so it is evicted last
+    pageCache.delete(pageText);
+  } else {
+    entry = { words: null, matches: new Map(), spans: new Map() };
+  }
+  pageCache.set(pageText, entry);
+  if (pageCache.size > MAX_CACHED_PAGES) {
+    pageCache.delete(pageCache.keys().next().value);
+  }
+  return entry;
+};
+
+const cachedWords = (entry, pageText) => {
+  if (!entry.words) entry.words = preparePage(pageText);
+  return entry.words;
+};
+
+const cachedMatch = (pageText, quote) => {
+  const entry = pageEntry(pageText);
+  if (!entry.matches.has(quote)) {
+    entry.matches.set(quote, matchQuote(pageText, quote, cachedWords(entry, pageText)));
+  }
+  return entry.matches.get(quote);
+};
+
+const isFound = ({ method }) => method === 'exact' || method === 'fuzzy';
+const matchRank = ({ method, score }) => (method === 'exact' ? 2 : score);
+
+// A citation's quote matched on its cited page or, when it isn't found there,
+// across the break with the page before or after, so a quote running from
+// the bottom of one page onto the next is highlighted on both. pages maps
+// page numbers to text. Returns { method, score, ranges } like matchQuote,
+// with the page of each range.
+const matchOnPages = (quote, citedPage, pages) => {
+  const text = pages[citedPage];
+  const previous = pages[citedPage - 1];
+  const next = pages[citedPage + 1];
+  if (typeof text !== 'string') return { method: 'words', score: 0, ranges: [] };
+
+  const entry = pageEntry(text);
+  const known = entry.spans.get(quote);
+  if (known && known.previous === previous && known.next === next) return known.result;
+
+  const single = cachedMatch(text, quote);
+  let result = { ...single, ranges: single.ranges.map((range) => ({ ...range, page: citedPage })) };
+
+  if (!isFound(single)) {
+    let best = null;
+    [[citedPage - 1, citedPage], [citedPage, citedPage + 1]].forEach((pair) => {
+      if (pair.some((page) => typeof pages[page] !== 'string')) return;
+      const matches = findQuoteAcrossPages(pair.map((page) => ({ page, text: pages[page] })), quote);
+      if (matches.length === 0 || !isFound(matches[0])) return;
+      // Only a match that takes in the cited page
+      if (!matches.some((match) => match.page === citedPage)) return;
+      if (!best || matchRank(matches[0]) > matchRank(best[0])) best = matches;
+    });
+
+    if (best) {
+      result = {
+        method: best[0].method,
+        score: best[0].score,
+        ranges: best
+          .filter((match) => match.end > match.start)
+          .map(({ page, start, end }) => ({ page, start, end, className: 'citation-highlight' })),
+      };
+    }
+  }
+
+  entry.spans.set(quote, { previous, next, result });
+  return result;
+};
+
+export const TASKS = {
+  // { items } of a page's text content -> { text, itemOffsets }
+  buildPageText({ items }) {
+    return buildPageText({ items });
+  },
+
+  // { pageText } -> preparePage's { words, wordIds }
+  preparePage({ pageText }) {
+    return cachedWords(pageEntry(pageText), pageText);
+  },
+
+  // { pageText, quote } -> matchQuote's { method, score, ranges }
+  matchQuote({ pageText, quote }) {
+    return cachedMatch(pageText, quote);
+  },
+
+  // { quote, page, pages } -> matchOnPages' { method, score, ranges }
+  matchCitation({ quote, page, pages }) {
+    return matchOnPages(quote, page, pages);
+  },
+
+  // { pageNumber, quotes: [{ index, quote, page }], pages } -> the ranges on
+  // pageNumber of citations cited on it or next to it, with citationIndex
+  // (see findCitationRangesForPage)
+  *matchCitations({ pageNumber, quotes, pages }) {
+    const ranges = [];
+    for (const { index, quote, page } of quotes) {
+      matchOnPages(quote, page, pages).ranges.forEach(({ page: rangePage, ...range }) => {
+        if (rangePage === pageNumber) ranges.push({ ...range, citationIndex: index });
+      });
+      yield;
+    }
+    return ranges;
+  },
+};
+
+export class TaskCancelledError extends Error {
+  constructor() {
+    super('The task was cancelled');
+    this.name = 'AbortError';
+  }
+}
+
+// Let queued messages (such as a cancellation) in between steps
+const nextTurn = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Run a task to completion, checking isCancelled() before every step
+export const runTask = async (type, payload, isCancelled = () => false) => {
+  if (!TASKS[type]) throw new Error(`Unknown text task: ${type}`);
+
+  await nextTurn();
+  if (isCancelled()) throw new TaskCancelledError();
+  const outcome = TASKS[type](payload);
+  if (typeof outcome?.next !== 'function') return outcome;
+
+  let step = outcome.next();
+  while (!step.done) {
+    await nextTurn();
+    if (isCancelled()) throw new TaskCancelledError();
+    step = outcome.next();
+  }
+  return step.value;
+};
@@ -0,0 +1,29 @@
+// Web Worker for the tasks in textTasks.js, started by textWorkerClient.js.
+//
+// Messages in: { id, type, payload } runs a task; { id, type: 'cancel' }
+// stops task `id` at its next step. Messages out: { id, result } or
+// { id, error }. Nothing is sent for a cancelled task.
+import { runTask } from "./textTasks";
+
+const running = new Set();
+const cancelled = new Set();
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+
+  if (type === 'cancel') {
+    if (running.has(id)) cancelled.add(id);
+    return;
+  }
+
+  running.add(id);
+  try {
+    const result = await runTask(type, payload, () => cancelled.has(id));
+    self.postMessage({ id, result });
+  } catch (err) {
+    if (!cancelled.has(id)) self.postMessage({ id, error: err.message || String(err) });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
@@ -0,0 +1,96 @@
+// Run text extraction, normalization and citation matching in textWorker.js,
+// off the main thread, so dense pages with many long quotes don't freeze the
+// viewer.
+//
+// Every call returns a promise and takes an optional AbortSignal; aborting
+// rejects the promise with an AbortError and stops the work in the worker.
+// Where a worker can't be started, or fails to load, the same tasks run on
+// the main thread instead.
+import { runTask, TaskCancelledError } from "./textTasks";
+
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+// id -> { type, payload, resolve, reject }
+const pendingJobs = new Map();
+
+const runOnMainThread = (id, job) => {
+  runTask(job.type, job.payload, () => !pendingJobs.has(id))
+    .then((result) => pendingJobs.get(id)?.resolve(result))
+    .catch((err) => pendingJobs.get(id)?.reject(err))
+    .finally(() => pendingJobs.delete(id));
+};
+
+const fallBackToMainThread = (reason) => {
+  console.warn("Text worker unavailable; running text tasks on the main thread:", reason);
+  worker?.terminate();
+  worker = null;
+  workerFailed = true;
+  pendingJobs.forEach((job, id) => runOnMainThread(id, job));
+};
+
+const getWorker = () => {
+  if (worker || workerFailed) return worker;
+  try {
+    worker = new Worker(new URL('./textWorker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    fallBackToMainThread(err);
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const job = pendingJobs.get(data.id);
+    if (!job) return;
+    pendingJobs.delete(data.id);
+    if ('error' in data) job.reject(new Error(data.error));
+    else job.resolve(data.result);
+  };
+  // Only raised for failures of the worker itself, e.g. its script not loading
+  worker.onerror = (event) => {
+    event.preventDefault();
+    fallBackToMainThread(event.message || 'worker error');
+  };
+  return worker;
+};
+
+export const runTextTask = (type, payload, { signal } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new TaskCancelledError());
+      return;
+    }
+
+    // Start the worker before registering the job: if starting it fails, the
+    // fallback reruns only the jobs already pending, and this one runs below
+    const target = getWorker();
+    const id = nextId++;
+    pendingJobs.set(id, { type, payload, resolve, reject });
+
+    signal?.addEventListener(
+      'abort',
+      () => {
+        if (!pendingJobs.has(id)) return;
+        pendingJobs.delete(id);
+        worker?.postMessage({ id, type: 'cancel' });
+        reject(new TaskCancelledError());
+      },
+      { once: true }
+    );
+
+    if (target) target.postMessage({ id, type, payload });
+    else runOnMainThread(id, pendingJobs.get(id));
+  });
+
+export const isCancelled = (err) => err?.name === 'AbortError';
+
+// { text, itemOffsets } for a page's PDF.js text content
+export const buildPageTextOffThread = (textContent, options) =>
+  runTextTask('buildPageText', { items: textContent?.items || [] }, options);
+
+// preparePage's { words, wordIds } for a page's text (see quoteMatcher.js)
+export const preparePageOffThread = (pageText, options) =>
+  runTextTask('preparePage', { pageText }, options);
+
+// matchQuote's { method, score, ranges } for one quote
+export const matchQuoteOffThread = (pageText, quote, options) =>
+  runTextTask('matchQuote', { pageText, quote }, options);
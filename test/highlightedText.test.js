@@ -0,0 +1,103 @@
+// Hostile page text and quotes, as a PDF from the other side might contain
+// them, must come out of the text view as plain text inside <mark> wrappers.
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createElement } from 'react'
+import { renderToStaticMarkup } from 'react-dom/server'
+import HighlightedText from '../src/components/HighlightedText.jsx'
+import { buildHighlightSegments, matchQuote } from '../src/lib/citationHighlights.js'
+
+const HOSTILE_TEXTS = [
+  'The deed <script>alert("owned")</script> was signed on 4 May.',
+  'Exhibit A <img src=x onerror=alert(document.cookie)> is attached hereto.',
+  'See <a href="javascript:alert(1)">the schedule</a> and javascript:alert(2) for terms.',
+  'Rent < 500 & deposit > 2 months; R&D costs &amp; fees &lt;b&gt; apply.',
+  'The clause </mark><script>alert(1)</script><mark> survives termination.',
+  '<svg onload=alert(1)><iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '"><style>body{display:none}</style><!-- comment --> ]]> {{constructor}}',
+]
+
+const HOSTILE_QUOTES = [
+  'deed <script>alert("owned")</script> was signed',
+  'Exhibit A <img src=x onerror=alert(document.cookie)> is attached',
+  'javascript:alert(2) for terms',
+  'Rent < 500 & deposit > 2 months',
+  'clause </mark><script>alert(1)</script><mark> survives termination',
+]
+
+const decode = (html) =>
+  html
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&amp;/g, '&')
+
+const ALLOWED_ATTRIBUTES = /^(class|id|style|title|data-[\w-]+)$/
+
+// Every tag in the markup, as [name, attributes]
+const tags = (html) => [...html.matchAll(/<\/?([a-zA-Z][\w-]*)([^>]*)>/g)].map((match) => [match[1], match[2]])
+
+const NOTE = { start: 2, end: 20, annotationId: 'note-1', className: 'annotation-highlight', note: '<b onmouseover=alert(1)>' }
+
+// A citation of the hostile quote on the page, or of its first words, and a
+// note over part of it
+const citationRanges = (text) => {
+  const quote = HOSTILE_QUOTES.find((candidate) => matchQuote(text, candidate).method === 'exact')
+  const citations = quote
+    ? matchQuote(text, quote).ranges.map((range) => ({ ...range, citationIndex: 0 }))
+    : [{ start: 0, end: Math.min(12, text.length), className: 'citation-highlight', citationIndex: 0 }]
+  return [...citations, NOTE]
+}
+
+// A search hit over most of the page, which citations would hide
+const searchRanges = (text) => [{ start: 1, end: text.length - 1, searchHitIndex: 0, className: 'search-hit' }, NOTE]
+
+const render = (text, ranges) => renderToStaticMarkup(createElement(HighlightedText, { text, ranges, pageNumber: 3 }))
+
+const hasMark = (found, attribute) => found.some(([name, attributes]) => name === 'mark' && attribute.test(attributes))
+
+test('segments carry the page text verbatim as plain strings', () => {
+  HOSTILE_TEXTS.forEach((text) => {
+    for (const ranges of [citationRanges(text), searchRanges(text)]) {
+      const segments = buildHighlightSegments(text, ranges)
+      segments.forEach((segment) => assert.equal(typeof segment.text, 'string'))
+      assert.equal(segments.map((segment) => segment.text).join(''), text)
+    }
+  })
+})
+
+test('hostile quotes are matched as text, not as patterns or markup', () => {
+  HOSTILE_QUOTES.forEach((quote) => {
+    const text = HOSTILE_TEXTS.find((candidate) => matchQuote(candidate, quote).method === 'exact')
+    assert.ok(text, `no page text matched ${quote}`)
+  })
+  // Regular expression syntax in a quote matches nothing by itself
+  assert.deepEqual(matchQuote('Nothing to see here.', '.*+?^${}()|[]\\').ranges, [])
+})
+
+test('the text view renders only text inside its <div> and <mark> elements', () => {
+  HOSTILE_TEXTS.forEach((text) => {
+    const citationHtml = render(text, citationRanges(text))
+    const searchHtml = render(text, searchRanges(text))
+
+    for (const html of [citationHtml, searchHtml]) {
+      const found = tags(html)
+      assert.deepEqual([...new Set(found.map(([name]) => name))].sort(), ['div', 'mark'])
+      found.forEach(([, attributes]) => {
+        for (const [, name] of attributes.matchAll(/\s([\w-]+)="[^"]*"/g)) {
+          assert.match(name, ALLOWED_ATTRIBUTES)
+        }
+      })
+      assert.equal(decode(html.replace(/<[^>]*>/g, '')), text)
+      assert.ok(hasMark(found, /data-annotation-id="note-1"/))
+    }
+    assert.ok(hasMark(tags(citationHtml), /class="citation-highlight"/))
+    assert.ok(hasMark(tags(searchHtml), /data-search-hit="0"/))
+  })
+})
+
+test('a note with markup in it stays an attribute value', () => {
+  const text = HOSTILE_TEXTS[0]
+  assert.match(render(text, citationRanges(text)), /title="&lt;b onmouseover=alert\(1\)&gt;"/)
+})
@@ -0,0 +1,32 @@
+// Module hooks that let Node load the app's source as Vite does: imports
+// without a file extension, and JSX.
+import { readFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { transformWithEsbuild } from 'vite'
+
+const EXTENSIONS = ['.js', '.jsx']
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../')
+  if (!isRelative || /\.[a-z]+$/i.test(specifier)) return nextResolve(specifier, context)
+
+  for (const extension of EXTENSIONS) {
+    try {
+      return await nextResolve(specifier + extension, context)
+    } catch (err) {
+      if (err.code !== 'ERR_MODULE_NOT_FOUND') throw err
+    }
+  }
+  return nextResolve(specifier, context)
+}
+
+export const load = async (url, context, nextLoad) => {
+  if (!url.endsWith('.jsx')) return nextLoad(url, context)
+
+  const path = fileURLToPath(url)
+  const { code } = await transformWithEsbuild(await readFile(path, 'utf8'), path, {
+    loader: 'jsx',
+    jsx: 'automatic',
+  })
+  return { format: 'module', source: code, shortCircuit: true }
+}
@@ -0,0 +1,205 @@
+// quoteMatcher.js against the ways extracted PDF text differs from a quote
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { findQuote, findQuoteAcrossPages, preparePage, tokenize } from '../src/lib/quoteMatcher.js'
+
+// The text each match covers
+const covered = (text, matches) => matches.map(({ start, end }) => text.slice(start, end))
+
+describe('tokenize', () => {
+  test('keeps the span of every word in the original text', () => {
+    const text = '  The Lessee, (hereinafter "Tenant")  shall pay.'
+    const words = tokenize(text)
+    assert.deepEqual(
+      words.map(({ word }) => word),
+      ['the', 'lessee', 'hereinafter', 'tenant', 'shall', 'pay']
+    )
+    words.forEach(({ word, start, end }) => assert.equal(text.slice(start, end).toLowerCase(), word))
+  })
+
+  test('folds ligatures and accents, and the span covers the ligature', () => {
+    const text = 'ﬁled the ﬂoor plan at the Café'
+    const words = tokenize(text)
+    assert.deepEqual(
+      words.map(({ word }) => word),
+      ['filed', 'the', 'floor', 'plan', 'at', 'the', 'cafe']
+    )
+    assert.equal(text.slice(words[0].start, words[0].end), 'ﬁled')
+    assert.equal(text.slice(words[2].start, words[2].end), 'ﬂoor')
+  })
+
+  test('joins a word hyphenated at a line break, but not a hyphenated compound', () => {
+    const text = 'the con-\n  tract is well-known'
+    const words = tokenize(text)
+    assert.deepEqual(
+      words.map(({ word }) => word),
+      ['the', 'contract', 'is', 'well', 'known']
+    )
+    assert.equal(text.slice(words[1].start, words[1].end), 'con-\n  tract')
+  })
+
+  test('drops soft hyphens and zero-width characters inside words', () => {
+    assert.deepEqual(
+      tokenize('agree\u00ADment and zero\u200Bwidth').map(({ word }) => word),
+      ['agreement', 'and', 'zerowidth']
+    )
+  })
+
+  test('splits words run together by extraction at a capital', () => {
+    assert.deepEqual(
+      tokenize('ordered by theCourt in 2019').map(({ word }) => word),
+      ['ordered', 'by', 'the', 'court', 'in', '2019']
+    )
+  })
+
+  test('returns no words for text without any', () => {
+    assert.deepEqual(tokenize(''), [])
+    assert.deepEqual(tokenize(' .,;— “” \n'), [])
+  })
+})
+
+describe('preparePage', () => {
+  test('gives the same id to the same word and different ids to others', () => {
+    const { words, wordIds } = preparePage('The party and the other Party')
+    assert.deepEqual(words, tokenize('The party and the other Party'))
+    assert.equal(wordIds[0], wordIds[3])
+    assert.equal(wordIds[1], wordIds[5])
+    assert.equal(new Set(wordIds).size, 4)
+  })
+
+  test('can be reused for every quote on the page', () => {
+    const text = 'The tenant shall pay rent monthly. The landlord shall repair the roof.'
+    const page = preparePage(text)
+    assert.deepEqual(findQuote(text, 'shall pay rent', page), findQuote(text, 'shall pay rent'))
+    assert.deepEqual(findQuote(text, 'repair the roof', page), findQuote(text, 'repair the roof'))
+  })
+})
+
+describe('findQuote', () => {
+  test('finds a quote with straight quotes in text with smart quotes', () => {
+    const text = 'The court held that the “reasonable person” test doesn’t apply here.'
+    const matches = findQuote(text, 'the "reasonable person" test doesn\'t apply')
+    assert.equal(matches.length, 1)
+    assert.equal(matches[0].method, 'exact')
+    assert.equal(matches[0].score, 1)
+    assert.deepEqual(covered(text, matches), ['the “reasonable person” test doesn’t apply'])
+  })
+
+  test('finds a quote in text with ligatures', () => {
+    const text = 'The ﬁrst ﬂoor shall be ﬁtted out by the Lessee.'
+    const matches = findQuote(text, 'first floor shall be fitted out')
+    assert.equal(matches[0].method, 'exact')
+    assert.deepEqual(covered(text, matches), ['ﬁrst ﬂoor shall be ﬁtted out'])
+  })
+
+  test('finds a quote over a word hyphenated at a line break', () => {
+    const text = 'Either party may termi-\nnate this agreement on notice.'
+    const matches = findQuote(text, 'may terminate this agreement')
+    assert.equal(matches[0].method, 'exact')
+    assert.deepEqual(covered(text, matches), ['may termi-\nnate this agreement'])
+  })
+
+  test('returns every exact occurrence in order', () => {
+    const text = 'Notice shall be given. Later, notice shall be given again.'
+    const matches = findQuote(text, 'notice shall be given')
+    assert.equal(matches.length, 2)
+    assert.ok(matches[0].start < matches[1].start)
+    matches.forEach((match) => assert.equal(match.method, 'exact'))
+  })
+
+  test('finds a quote from one column of two interleaved line by line', () => {
+    const left = [
+      'The lessee shall keep',
+      'the premises in good',
+      'and substantial repair',
+      'throughout the term',
+    ]
+    const right = [
+      'Payment of rent is due',
+      'on the first business',
+      'day of every calendar',
+      'month without demand',
+    ]
+    const text = left.map((line, i) => `${line} ${right[i]}`).join('\n')
+    const matches = findQuote(text, left.join(' '))
+
+    assert.equal(matches[0].method, 'fuzzy')
+    assert.ok(matches[0].score >= 0.8)
+    // One range per line of the quoted column, none in the other column
+    assert.deepEqual(covered(text, matches), left)
+  })
+
+  test('finds a quote in text with OCR misreadings', () => {
+    const text = 'Tbe Iessee sha1l indemnify the Lessor against a1l claims arising from the use of the premlses.'
+    const quote = 'The lessee shall indemnify the lessor against all claims arising from the use of the premises.'
+    const matches = findQuote(text, quote)
+
+    assert.equal(matches[0].method, 'fuzzy')
+    assert.ok(matches[0].score >= 0.8 && matches[0].score < 1)
+    assert.equal(matches[0].start, text.indexOf('Iessee'))
+    assert.equal(matches[matches.length - 1].end, text.indexOf('premlses') + 'premlses'.length)
+  })
+
+  test('finds the sentences of a longer quote that are on the page', () => {
+    const text = 'The tenant shall pay the rent on the first day of each month. Unrelated text follows here.'
+    const quote =
+      'The tenant shall pay the rent on the first day of each month. The landlord may inspect the premises at any reasonable hour.'
+    const matches = findQuote(text, quote)
+
+    assert.equal(matches[0].method, 'sentence')
+    assert.ok(matches[0].score > 0 && matches[0].score < 1)
+    assert.deepEqual(covered(text, matches), ['The tenant shall pay the rent on the first day of each month'])
+  })
+
+  test('falls back to scattered words of the quote', () => {
+    const text = 'Indemnity is limited. Nothing here concerns arbitration.'
+    const matches = findQuote(text, 'arbitration under the indemnity clause is binding on both sides')
+    assert.ok(matches.length > 0)
+    matches.forEach((match) => {
+      assert.equal(match.method, 'words')
+      assert.equal(match.score, 0)
+    })
+    assert.deepEqual(covered(text, matches), ['Indemnity', 'arbitration'])
+  })
+
+  test('finds nothing for a quote that is not on the page', () => {
+    const text = 'The tenant shall pay the rent on the first day of each month.'
+    assert.deepEqual(findQuote(text, 'Quorum requires seven directors present'), [])
+  })
+
+  test('finds nothing for an empty quote or page', () => {
+    assert.deepEqual(findQuote('Some page text.', ''), [])
+    assert.deepEqual(findQuote('Some page text.', undefined), [])
+    assert.deepEqual(findQuote('', 'some quote'), [])
+  })
+})
+
+describe('findQuoteAcrossPages', () => {
+  const pages = [
+    { page: 7, text: 'Clause 9. Termination.\nEither party may end this agreement by giving' },
+    { page: 8, text: 'ninety days written notice to the other party.\nClause 10. Assignment.' },
+  ]
+
+  test('splits a quote running over a page break at the break', () => {
+    const matches = findQuoteAcrossPages(pages, 'Either party may end this agreement by giving ninety days written notice')
+
+    assert.deepEqual(
+      matches.map(({ page }) => page),
+      [7, 8]
+    )
+    matches.forEach((match) => assert.equal(match.method, 'exact'))
+    assert.equal(pages[0].text.slice(matches[0].start, matches[0].end), 'Either party may end this agreement by giving')
+    assert.equal(pages[1].text.slice(matches[1].start, matches[1].end), 'ninety days written notice')
+  })
+
+  test('keeps a quote within one page on that page', () => {
+    const matches = findQuoteAcrossPages(pages, 'Clause 10. Assignment.')
+    assert.equal(matches.length, 1)
+    assert.equal(matches[0].page, 8)
+    assert.equal(pages[1].text.slice(matches[0].start, matches[0].end), 'Clause 10. Assignment')
+  })
+
+  test('finds nothing for a quote on neither page', () => {
+    assert.deepEqual(findQuoteAcrossPages(pages, 'Quorum requires seven directors present'), [])
+  })
+})
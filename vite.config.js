@@ -1,11 +1,64 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createRequire } from 'node:module'
+import { readdirSync, readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
 
-// https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
-})
+const require = createRequire(import.meta.url)
+const packageRoot = (name, from = require) => dirname(from.resolve(`${name}/package.json`))
 
+const pdfjsRoot = packageRoot('pdfjs-dist')
+const tesseractRoot = packageRoot('tesseract.js')
+// tesseract.js-core is a dependency of tesseract.js, not of the app
+const tesseractCoreRoot = packageRoot('tesseract.js-core', createRequire(join(tesseractRoot, 'package.json')))
 
+// Files the libraries load at runtime, served under the URL prefix they are
+// configured with (see src/lib/pdfjs.js and src/lib/ocr.js). `files` limits
+// a directory to the ones actually used.
+const LOCAL_ASSETS = [
+  { prefix: 'pdfjs/cmaps', dir: join(pdfjsRoot, 'cmaps') },
+  { prefix: 'pdfjs/standard_fonts', dir: join(pdfjsRoot, 'standard_fonts') },
+  { prefix: 'tesseract', dir: join(tesseractRoot, 'dist'), files: ['worker.min.js'] },
+  {
+    // Only the LSTM builds, in each flavour of SIMD support; each embeds its wasm
+    prefix: 'tesseract/core',
+    dir: tesseractCoreRoot,
+    files: ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js', 'tesseract-core-relaxedsimd-lstm.wasm.js'],
+  },
+  { prefix: 'tesseract/lang', dir: join(packageRoot('@tesseract.js-data/eng'), '4.0.0_best_int') },
+]
 
+const assetFiles = (asset) => asset.files || readdirSync(asset.dir)
+
+// Serve LOCAL_ASSETS in dev and copy them into the build, so PDF.js and
+// OCR never need a CDN
+const localAssets = () => ({
+  name: 'local-assets',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      const path = decodeURIComponent(req.url.split('?')[0]).replace(/^\//, '')
+      const slash = path.lastIndexOf('/')
+      const asset = LOCAL_ASSETS.find((entry) => entry.prefix === path.slice(0, slash))
+      const file = path.slice(slash + 1)
+      if (!asset || !assetFiles(asset).includes(file)) return next()
+      res.end(readFileSync(join(asset.dir, file)))
+    })
+  },
+  generateBundle() {
+    LOCAL_ASSETS.forEach((asset) => {
+      assetFiles(asset).forEach((file) => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${asset.prefix}/${file}`,
+          source: readFileSync(join(asset.dir, file)),
+        })
+      })
+    })
+  },
+})
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react(), tailwindcss(), localAssets()],
+})